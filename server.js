@@ -34,6 +34,8 @@
 require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startTrashPurgeJob } = require('./src/jobs/trashPurge');
+const { Note } = require('./src/models');
 // const seedDatabase = require('./src/scripts/seedData');
 
 const PORT = process.env.PORT || 5000;
@@ -43,6 +45,15 @@ const initializeApp = async () => {
   try {
     // Connect to MongoDB
     await connectDB();
+
+    // Databases created before ranked search still have the old per-field text indexes
+    const replacedIndexes = await Note.replaceLegacyTextIndexes();
+    if (replacedIndexes.length > 0) {
+      console.log(`🔎 Replaced legacy note text indexes: ${replacedIndexes.join(', ')}`);
+    }
+
+    // Permanently remove notes past their tenant's trash retention
+    startTrashPurgeJob();
     
     // Seed the database with test accounts [1]
     // console.log('🌱 Seeding database...');
@@ -56,8 +56,13 @@ const corsOptions = {
     'Authorization',
     'X-Requested-With',
     'Accept',
-    'Origin'
+    'Origin',
+    'If-Match',
+    'If-None-Match',
+    'X-Share-Password',
+    'X-File-Name'
   ],
+  exposedHeaders: ['ETag', 'Retry-After', 'Content-Disposition'],
   credentials: true,
   maxAge: 86400,
   optionsSuccessStatus: 200
@@ -80,7 +85,8 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// merge-patch+json is used by PATCH /api/notes/:id
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/merge-patch+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser());
 
@@ -116,7 +122,12 @@ app.get('/', (req, res) => {
       health: '/health',
       auth: '/api/auth',
       notes: '/api/notes',
-      tenants: '/api/tenants'
+      notebooks: '/api/notebooks',
+      tenants: '/api/tenants',
+      savedSearches: '/api/saved-searches',
+      tags: '/api/tags',
+      notifications: '/api/notifications',
+      public: '/api/public'
     }
   });
 });
@@ -20,6 +20,8 @@ if (process.env.JWT_SECRET.length < 32) {
   process.exit(1);
 }
 
+// Feature settings (refresh token TTL, mail, storage, background jobs) are read from process.env by the
+// module that uses them, next to its default, and are deliberately not duplicated here
 const config = {
   // Server Configuration
   NODE_ENV: process.env.NODE_ENV || 'development',
@@ -30,7 +32,7 @@ const config = {
   
   // JWT Configuration
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRE: process.env.JWT_EXPIRE || '24h',
+  JWT_EXPIRE: process.env.JWT_EXPIRE || '15m',
   JWT_ISSUER: process.env.JWT_ISSUER || 'notes-saas-api',
   JWT_AUDIENCE: process.env.JWT_AUDIENCE || 'notes-saas-client',
   
@@ -48,8 +50,8 @@ const config = {
   DEFAULT_PAGE_SIZE: parseInt(process.env.DEFAULT_PAGE_SIZE, 10) || 10,
   MAX_PAGE_SIZE: parseInt(process.env.MAX_PAGE_SIZE, 10) || 100,
   
-  // File Upload Configuration (if needed later)
-  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024, // 10MB
+  // File Upload Configuration
+  MAX_FILE_SIZE: parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024, // 10MB, hard cap for any plan
   
   // Logging Configuration
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
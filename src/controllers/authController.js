@@ -1,7 +1,14 @@
 const { validationResult } = require('express-validator');
+const jwt = require('jsonwebtoken');
 const authService = require('../services/authService');
+const passwordService = require('../services/passwordService');
+const twoFactorService = require('../services/twoFactorService');
+const invitationService = require('../services/invitationService');
+const { getClientContext } = require('../utils/requestContext');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
 
+const REFRESH_COOKIE_PATH = '/api/auth';
+
 class AuthController {
   /**
    * Handle user login
@@ -22,26 +29,18 @@ class AuthController {
       const { email, password } = req.body;
 
       // Call service layer for business logic [5]
-      const result = await authService.login(email, password);
+      const result = await authService.login(email, password, getClientContext(req));
 
-      // Set cookie for additional security (optional)
+      // Set cookies for additional security (optional)
       if (result.success && result.data.token) {
-        res.cookie('auth_token', result.data.token, {
-          httpOnly: true,
-          secure: process.env.NODE_ENV === 'production',
-          sameSite: 'strict',
-          maxAge: 24 * 60 * 60 * 1000 // 24 hours
-        });
+        setAuthCookies(res, result.data);
       }
 
       return res.status(HTTP_STATUS.OK).json(result);
 
     } catch (error) {
-      console.error('Login error:', error);
-      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
-        success: false,
-        message: error.message || ERROR_MESSAGES.AUTH.INVALID_CREDENTIALS
-      });
+      console.error('Login error:', error.message);
+      return sendAuthError(res, error, ERROR_MESSAGES.AUTH.INVALID_CREDENTIALS);
     }
   }
 
@@ -74,13 +73,14 @@ class AuthController {
    */
   async logout(req, res) {
     try {
-      // Clear cookie if it exists
-      res.clearCookie('auth_token');
+      // Express leaves req.body undefined when a cookie-based client posts without a body
+      const refreshToken = (req.body && req.body.refresh_token) || (req.cookies && req.cookies.refresh_token);
 
-      return res.status(HTTP_STATUS.OK).json({
-        success: true,
-        message: 'Logout successful. Please remove token from client storage.'
-      });
+      const result = await authService.logout(req.auth, refreshToken);
+
+      clearAuthCookies(res);
+
+      return res.status(HTTP_STATUS.OK).json(result);
 
     } catch (error) {
       console.error('Logout error:', error);
@@ -91,6 +91,401 @@ class AuthController {
     }
   }
 
+  /**
+   * Logout user from every session
+   * @route POST /api/auth/logout-all
+   */
+  async logoutAll(req, res) {
+    try {
+      const result = await authService.logoutAll(req.user.id);
+
+      clearAuthCookies(res);
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Logout all error:', error);
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Failed to logout from all sessions'
+      });
+    }
+  }
+
+  /**
+   * List active sessions for the current user
+   * @route GET /api/auth/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const result = await authService.getSessions(
+        req.user.id,
+        req.user.tenant_id,
+        req.auth && req.auth.session_id
+      );
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to retrieve sessions'
+      });
+    }
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   * @route DELETE /api/auth/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await authService.revokeSession(
+        req.params.id,
+        req.user.id,
+        req.user.tenant_id
+      );
+
+      // Revoking the current session is equivalent to logging out
+      if (req.auth && req.params.id === req.auth.session_id) {
+        clearAuthCookies(res);
+      }
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+
+      const statusCode = error.message.includes('not found')
+        ? HTTP_STATUS.NOT_FOUND
+        : HTTP_STATUS.BAD_REQUEST;
+
+      return res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to revoke session'
+      });
+    }
+  }
+
+  /**
+   * Request a password reset email
+   * @route POST /api/auth/forgot-password
+   */
+  async forgotPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await authService.requestPasswordReset(
+        req.body.email,
+        getClientContext(req)
+      );
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      return res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+        success: false,
+        message: 'Failed to process password reset request'
+      });
+    }
+  }
+
+  /**
+   * Reset password using a token from the reset email
+   * @route POST /api/auth/reset-password
+   */
+  async resetPassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await authService.resetPassword(req.body.token, req.body.password);
+
+      clearAuthCookies(res);
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Reset password error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to reset password',
+        ...(error.details && { errors: error.details })
+      });
+    }
+  }
+
+  /**
+   * Change the current user's password
+   * @route POST /api/auth/change-password
+   */
+  async changePassword(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await passwordService.changePassword(
+        req.user.id,
+        req.user.tenant_id,
+        req.body.current_password,
+        req.body.new_password,
+        req.auth && req.auth.session_id
+      );
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Change password error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to change password',
+        ...(error.details && { errors: error.details })
+      });
+    }
+  }
+
+  /**
+   * Complete a two-step login with a TOTP or recovery code
+   * @route POST /api/auth/2fa/verify
+   */
+  async verifyTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const { challenge_token: challengeToken, code, recovery_code: recoveryCode } = req.body;
+
+      const result = await authService.verifyTwoFactorLogin(
+        challengeToken,
+        { code, recovery_code: recoveryCode },
+        getClientContext(req)
+      );
+
+      setAuthCookies(res, result.data);
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Two-factor verification error:', error.message);
+      return sendAuthError(res, error, ERROR_MESSAGES.TWO_FACTOR.INVALID_CODE);
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * @route POST /api/auth/2fa/setup
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const result = await twoFactorService.beginEnrollment(req.user.id, req.user.tenant_id);
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Two-factor setup error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to start two-factor setup'
+      });
+    }
+  }
+
+  /**
+   * Confirm two-factor enrollment and receive recovery codes
+   * @route POST /api/auth/2fa/confirm
+   */
+  async confirmTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await twoFactorService.confirmEnrollment(
+        req.user.id,
+        req.user.tenant_id,
+        req.body.code
+      );
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Two-factor confirm error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to confirm two-factor setup'
+      });
+    }
+  }
+
+  /**
+   * Disable two-factor authentication
+   * @route POST /api/auth/2fa/disable
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const { password, code, recovery_code: recoveryCode } = req.body;
+
+      const result = await twoFactorService.disable(
+        req.user.id,
+        req.user.tenant_id,
+        password,
+        { code, recovery_code: recoveryCode }
+      );
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Two-factor disable error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Replace two-factor recovery codes
+   * @route POST /api/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await twoFactorService.regenerateRecoveryCodes(
+        req.user.id,
+        req.user.tenant_id,
+        req.body.code
+      );
+
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to regenerate recovery codes'
+      });
+    }
+  }
+
+  /**
+   * Show a pending invitation before it is accepted
+   * @route GET /api/auth/invitations/:token
+   */
+  async getInvitation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await invitationService.getInvitationByToken(req.params.token);
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Get invitation error:', error.message);
+      return res.status(HTTP_STATUS.NOT_FOUND).json({
+        success: false,
+        message: error.message || ERROR_MESSAGES.INVITATION.INVALID
+      });
+    }
+  }
+
+  /**
+   * Accept an invitation, set a password and sign in
+   * @route POST /api/auth/invitations/accept
+   */
+  async acceptInvitation(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      const result = await invitationService.acceptInvitation(
+        req.body.token,
+        req.body.password,
+        getClientContext(req)
+      );
+
+      setAuthCookies(res, result.data);
+
+      return res.status(HTTP_STATUS.CREATED).json(result);
+
+    } catch (error) {
+      console.error('Accept invitation error:', error.message);
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to accept invitation',
+        ...(error.details && { errors: error.details })
+      });
+    }
+  }
+
   /**
    * Verify token validity
    * @route GET /api/auth/verify
@@ -122,27 +517,101 @@ class AuthController {
   }
 
   /**
-   * Refresh token (if implementing refresh token logic)
+   * Exchange a refresh token for a new token pair
    * @route POST /api/auth/refresh
    */
   async refreshToken(req, res) {
     try {
-      // This is a placeholder for refresh token logic
-      // You can implement this based on your security requirements
-      
-      return res.status(HTTP_STATUS.OK).json({
-        success: true,
-        message: 'Token refresh not implemented in this version'
-      });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
+      // Accept the token from the body or the httpOnly cookie set at login (cookie clients may send no body)
+      const refreshToken = (req.body && req.body.refresh_token) || (req.cookies && req.cookies.refresh_token);
+      if (!refreshToken) {
+        return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+          success: false,
+          message: ERROR_MESSAGES.AUTH.REFRESH_TOKEN_REQUIRED
+        });
+      }
+
+      const result = await authService.refreshTokens(refreshToken, getClientContext(req));
+
+      setAuthCookies(res, result.data);
+
+      return res.status(HTTP_STATUS.OK).json(result);
 
     } catch (error) {
-      console.error('Refresh token error:', error);
+      console.error('Refresh token error:', error.message);
+      clearAuthCookies(res);
+      // Never echo internal errors; only reuse detection gets its own message so the client re-authenticates
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
         success: false,
-        message: 'Token refresh failed'
+        message: error.message === ERROR_MESSAGES.AUTH.REFRESH_TOKEN_REUSED
+          ? ERROR_MESSAGES.AUTH.REFRESH_TOKEN_REUSED
+          : ERROR_MESSAGES.AUTH.REFRESH_TOKEN_INVALID
       });
     }
   }
 }
 
+/**
+ * Set access and refresh token cookies
+ * @param {Object} res - Express response object
+ * @param {Object} tokens - Token data from the auth service
+ */
+const setAuthCookies = (res, tokens) => {
+  const secure = process.env.NODE_ENV === 'production';
+
+  // The cookie expires with the access token itself, whatever JWT_EXPIRE is set to
+  const { exp } = jwt.decode(tokens.token);
+  res.cookie('auth_token', tokens.token, {
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    expires: new Date(exp * 1000)
+  });
+
+  if (tokens.refresh_token) {
+    res.cookie('refresh_token', tokens.refresh_token, {
+      httpOnly: true,
+      secure,
+      sameSite: 'strict',
+      path: REFRESH_COOKIE_PATH,
+      expires: new Date(tokens.refresh_token_expires_at)
+    });
+  }
+};
+/**
+ * Send a failed sign-in response, including throttling details when present
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error raised by the auth service
+ * @param {string} fallbackMessage - Message used when the error has none
+ */
+const sendAuthError = (res, error, fallbackMessage) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  return res.status(error.statusCode || HTTP_STATUS.UNAUTHORIZED).json({
+    success: false,
+    message: error.message || fallbackMessage,
+    ...(error.code && { code: error.code, retry_after: error.retryAfter })
+  });
+};
+
+/**
+ * Clear access and refresh token cookies
+ * @param {Object} res - Express response object
+ */
+const clearAuthCookies = (res) => {
+  res.clearCookie('auth_token');
+  res.clearCookie('refresh_token', { path: REFRESH_COOKIE_PATH });
+};
+
 module.exports = new AuthController();
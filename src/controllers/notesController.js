@@ -1,5 +1,7 @@
 const { validationResult } = require('express-validator');
 const notesService = require('../services/notesService');
+const { buildNoteEtag, parseIfMatch } = require('../utils/etag');
+const { parseSearchQuery } = require('../utils/searchQuery');
 const { HTTP_STATUS, ERROR_MESSAGES, ROLES } = require('../utils/constants');
 
 class NotesController {
@@ -261,6 +263,15 @@ class NotesController {
    */
   async toggleArchiveNote(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
       const noteId = req.params.id;
       const { archived } = req.body;
 
@@ -271,9 +282,12 @@ class NotesController {
         noteId,
         { is_archived: archived },
         req.user.tenant_id,
-        userId
+        userId,
+        req.user.id,
+        { ifMatch: parseIfMatch(req.get('If-Match')) }
       );
 
+      res.set('ETag', buildNoteEtag(result.data));
       return res.status(HTTP_STATUS.OK).json({
         ...result,
         message: archived ? 'Note archived successfully' : 'Note unarchived successfully'
@@ -282,61 +296,89 @@ class NotesController {
     } catch (error) {
       console.error('Toggle archive note error:', error);
       
-      const statusCode = error.message.includes('not found')
+      const statusCode = error.statusCode || (error.message.includes('not found')
         ? HTTP_STATUS.NOT_FOUND
-        : HTTP_STATUS.BAD_REQUEST;
+        : HTTP_STATUS.BAD_REQUEST);
+
+      if (error.current) {
+        res.set('ETag', buildNoteEtag(error.current));
+      }
 
       return res.status(statusCode).json({
         success: false,
-        message: error.message || 'Failed to toggle note archive status'
+        message: error.message || 'Failed to toggle note archive status',
+        ...(error.current && { data: error.current })
       });
     }
   }
 
   /**
-   * Search notes with advanced filtering
+   * Search notes with the query language (tag:, author:, created:, updated:, is:, notebook:, "phrases", -exclusions)
    * @route GET /api/notes/search
    */
   async searchNotes(req, res) {
     try {
-      const { q: query, tags, page, limit } = req.query;
-
-      if (!query || query.trim().length === 0) {
+      // Validate query parameters
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
           success: false,
-          message: 'Search query is required'
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
         });
       }
 
+      const { q: query, tags, page, limit, sort, cursor, pagination, include_total: includeTotal } = req.query;
+      const parsed = parseSearchQuery(query.trim());
+
+      // The tags parameter adds to any tag: filters in the query
+      if (tags) {
+        const extraTags = (Array.isArray(tags) ? tags : tags.split(','))
+          .map(tag => tag.trim().toLowerCase())
+          .filter(Boolean);
+        parsed.tags.push(...extraTags);
+      }
+
       const options = {
         page: Math.max(1, parseInt(page) || 1),
         limit: Math.min(100, Math.max(1, parseInt(limit) || 10)),
-        search: query.trim()
+        sort: sort || null,
+        cursor: cursor || null,
+        pagination: pagination || 'page',
+        includeTotal: includeTotal === undefined ? undefined : includeTotal === 'true',
+        requesterId: req.user.id
       };
 
-      // Filter by tags if provided
-      if (tags) {
-        options.tags = Array.isArray(tags) ? tags : tags.split(',');
-      }
-
-      // Members can only search their own notes
+      // Members can only search notes they own or that are shared with them
       if (req.user.role === ROLES.MEMBER) {
-        options.user_id = req.user.id;
+        options.userId = req.user.id;
       }
 
-      const result = await notesService.getNotes(req.user.tenant_id, options);
+      const result = await notesService.searchNotes(req.user.tenant_id, parsed, options);
 
       return res.status(HTTP_STATUS.OK).json({
         ...result,
         search_query: query,
         search_filters: {
-          tags: options.tags || null
+          text: parsed.text || null,
+          tags: parsed.tags,
+          excluded_tags: parsed.excluded_tags,
+          authors: parsed.authors,
+          excluded_authors: parsed.excluded_authors,
+          created: parsed.created,
+          excluded_created: parsed.excluded_created,
+          updated: parsed.updated,
+          excluded_updated: parsed.excluded_updated,
+          is: parsed.is,
+          excluded_is: parsed.excluded_is,
+          notebook: parsed.notebook,
+          excluded_notebooks: parsed.excluded_notebooks
         }
       });
 
     } catch (error) {
       console.error('Search notes error:', error);
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      return res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
         success: false,
         message: error.message || 'Failed to search notes'
       });
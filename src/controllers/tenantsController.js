@@ -181,12 +181,40 @@ class TenantController {
     }
   }
 
+  /**
+   * Get tenant settings
+   * @route GET /api/tenants/settings
+   */
+  async getTenantSettings(req, res) {
+    try {
+      const result = await tenantService.getTenantSettings(req.user.tenant_id);
+      return res.status(HTTP_STATUS.OK).json(result);
+
+    } catch (error) {
+      console.error('Get tenant settings error:', error);
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: error.message || 'Failed to retrieve tenant settings'
+      });
+    }
+  }
+
   /**
    * Update tenant settings (Admin only)
    * @route PUT /api/tenants/settings
    */
   async updateTenantSettings(req, res) {
     try {
+      // Validate request body
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: ERROR_MESSAGES.VALIDATION.INVALID_INPUT,
+          errors: errors.array()
+        });
+      }
+
       // Verify user is admin
       if (req.user.role !== ROLES.ADMIN) {
         return res.status(HTTP_STATUS.FORBIDDEN).json({
@@ -195,20 +223,9 @@ class TenantController {
         });
       }
 
-      // This is a placeholder for future tenant settings functionality
-      // You can implement specific settings updates here
-      
-      return res.status(HTTP_STATUS.OK).json({
-        success: true,
-        message: 'Tenant settings update feature coming soon',
-        data: {
-          available_settings: [
-            'notification_preferences',
-            'data_retention_policy',
-            'user_invitation_settings'
-          ]
-        }
-      });
+      const result = await tenantService.updateTenantSettings(req.user.tenant_id, req.body);
+
+      return res.status(HTTP_STATUS.OK).json(result);
 
     } catch (error) {
       console.error('Update tenant settings error:', error);
@@ -0,0 +1,52 @@
+// Trash retention purge. Long-running servers run it on a timer (server.js), every
+// TRASH_PURGE_INTERVAL_MS milliseconds (default: hourly). Serverless deployments have no process
+// to keep a timer in, so they call GET /api/jobs/trash-purge instead: vercel.json schedules it
+// daily, authenticated with the CRON_SECRET environment variable
+const notesService = require('../services/notesService');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000; // hourly
+
+/**
+ * Run one purge of notes past their tenant's trash retention
+ * @returns {Promise<number>} - Number of purged notes
+ */
+const runTrashPurge = async () => {
+  try {
+    const purged = await notesService.purgeExpiredTrash();
+    if (purged > 0) {
+      console.log(`🗑️ Purged ${purged} expired note(s) from trash`);
+    }
+    return purged;
+  } catch (error) {
+    console.error('❌ Trash purge failed:', error.message);
+    return 0;
+  }
+};
+
+/**
+ * Start purging expired trash periodically
+ * @param {number} intervalMs - Interval between runs (default: TRASH_PURGE_INTERVAL_MS or hourly)
+ * @returns {Object} - Timer handle (call stopTrashPurgeJob to stop)
+ */
+const startTrashPurgeJob = (intervalMs = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+  runTrashPurge();
+
+  const timer = setInterval(runTrashPurge, intervalMs);
+  // Never keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Stop a running purge job
+ * @param {Object} timer - Handle returned by startTrashPurgeJob
+ */
+const stopTrashPurgeJob = (timer) => {
+  clearInterval(timer);
+};
+
+module.exports = {
+  runTrashPurge,
+  startTrashPurgeJob,
+  stopTrashPurgeJob
+};
@@ -1,7 +1,37 @@
+const crypto = require('crypto');
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 const { User } = require('../models');
+const tokenService = require('../services/tokenService');
+const { hashToken } = require('../utils/crypto');
 const { HTTP_STATUS, ERROR_MESSAGES } = require('../utils/constants');
 
+/**
+ * Build the request user context from a populated user document
+ * @param {Object} user - User document with populated tenant
+ * @returns {Object} - User context
+ */
+const buildUserContext = (user) => ({
+  id: user._id.toString(),
+  email: user.email,
+  role: user.role,
+  tenant_id: user.tenant_id._id.toString(),
+  tenant_slug: user.tenant_id.slug,
+  tenant_subscription: user.tenant_id.subscription_plan
+});
+
+/**
+ * Build the details of the presented token, used for revocation on logout
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Object} - Token context
+ */
+const buildAuthContext = (decoded) => ({
+  jti: decoded.jti || null,
+  session_id: decoded.sid || null,
+  user_id: decoded.id,
+  tenant_id: decoded.tenant_id,
+  expires_at: new Date(decoded.exp * 1000)
+});
+
 /**
  * Authentication middleware - verifies JWT token and sets user context
  * @param {Object} req - Express request object
@@ -55,6 +85,14 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Reject tokens revoked by logout or a token version bump
+    if (await tokenService.isAccessTokenRevoked(decoded, user)) {
+      return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+        success: false,
+        message: ERROR_MESSAGES.AUTH.TOKEN_REVOKED
+      });
+    }
+
     // Check if tenant is active
     if (!user.tenant_id || !user.tenant_id.is_active) {
       return res.status(HTTP_STATUS.UNAUTHORIZED).json({
@@ -64,14 +102,8 @@ const authenticate = async (req, res, next) => {
     }
 
     // Set user context for downstream middleware and routes
-    req.user = {
-      id: user._id.toString(),
-      email: user.email,
-      role: user.role,
-      tenant_id: user.tenant_id._id.toString(),
-      tenant_slug: user.tenant_id.slug,
-      tenant_subscription: user.tenant_id.subscription_plan
-    };
+    req.user = buildUserContext(user);
+    req.auth = buildAuthContext(decoded);
 
     next();
 
@@ -108,15 +140,12 @@ const optionalAuthenticate = async (req, res, next) => {
         is_active: true
       }).populate('tenant_id', 'slug name subscription_plan is_active');
 
-      if (user && user.tenant_id && user.tenant_id.is_active) {
-        req.user = {
-          id: user._id.toString(),
-          email: user.email,
-          role: user.role,
-          tenant_id: user.tenant_id._id.toString(),
-          tenant_slug: user.tenant_id.slug,
-          tenant_subscription: user.tenant_id.subscription_plan
-        };
+      if (
+        user && user.tenant_id && user.tenant_id.is_active &&
+        !(await tokenService.isAccessTokenRevoked(decoded, user))
+      ) {
+        req.user = buildUserContext(user);
+        req.auth = buildAuthContext(decoded);
       } else {
         req.user = null;
       }
@@ -133,7 +162,32 @@ const optionalAuthenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Scheduler authentication middleware - accepts only "Authorization: Bearer <CRON_SECRET>"
+ * This is the header Vercel Cron sends; job routes are closed while CRON_SECRET is unset
+ */
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const presented = req.headers.authorization || '';
+
+  // Compare digests so the check takes the same time whatever the header length
+  const valid = Boolean(secret) && crypto.timingSafeEqual(
+    Buffer.from(hashToken(presented)),
+    Buffer.from(hashToken(`Bearer ${secret}`))
+  );
+
+  if (!valid) {
+    return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+      success: false,
+      message: ERROR_MESSAGES.AUTH.TOKEN_INVALID
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticate,
-  optionalAuthenticate
+  optionalAuthenticate,
+  authenticateCron
 };
@@ -0,0 +1,91 @@
+const multer = require('multer');
+const { validationResult } = require('express-validator');
+const notesService = require('../services/notesService');
+const config = require('../config/environment');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES, NOTE_PERMISSIONS } = require('../utils/constants');
+
+// Hard cap for any upload; plan limits are enforced by the services
+const { MAX_FILE_SIZE } = config;
+
+// Files are buffered in memory so their content can be sniffed before being stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1,
+    fields: 10
+  }
+});
+
+/**
+ * Parse a multipart upload with a single file field into req.file
+ * @param {string} field - Form field holding the file
+ * @returns {Function} - Express middleware
+ */
+const uploadSingle = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(HTTP_STATUS.PAYLOAD_TOO_LARGE).json({
+          success: false,
+          message: ERROR_MESSAGES.ATTACHMENT.FILE_TOO_LARGE,
+          max_file_size: MAX_FILE_SIZE
+        });
+      }
+
+      if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: error.code === 'LIMIT_FILE_COUNT'
+            ? ERROR_MESSAGES.ATTACHMENT.TOO_MANY_FILES
+            : ERROR_MESSAGES.ATTACHMENT.FILE_REQUIRED
+        });
+      }
+    }
+
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  });
+};
+
+/**
+ * Reject uploads to notes the caller cannot edit before the body is read
+ * Runs ahead of uploadSingle, which buffers the whole file in memory
+ */
+const requireEditableNote = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  try {
+    // Members can only upload to notes they own or that are shared with them for editing
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+    await notesService.findAccessibleNote(req.params.id, req.user.tenant_id, userId, NOTE_PERMISSIONS.EDIT);
+    next();
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    return res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  uploadSingle,
+  requireEditableNote
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// File attached to a note; the content lives in the storage driver under storage_key
+const attachmentSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required'],
+    index: true
+  },
+  uploaded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Uploading user is required']
+  },
+  filename: {
+    type: String,
+    required: [true, 'File name is required'],
+    trim: true,
+    maxLength: [255, 'File name cannot exceed 255 characters']
+  },
+  // Type detected from the content; declared_mime_type is what the client claimed
+  mime_type: {
+    type: String,
+    required: [true, 'MIME type is required']
+  },
+  declared_mime_type: {
+    type: String,
+    default: null
+  },
+  size: {
+    type: Number,
+    required: [true, 'File size is required'],
+    min: [0, 'File size cannot be negative']
+  },
+  checksum: {
+    type: String,
+    required: [true, 'Checksum is required']
+  },
+  storage_driver: {
+    type: String,
+    required: [true, 'Storage driver is required']
+  },
+  storage_key: {
+    type: String,
+    required: [true, 'Storage key is required'],
+    unique: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
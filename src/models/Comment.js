@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Discussion on a note; replies point at their parent comment
+const commentSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required']
+  },
+  author_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author ID is required']
+  },
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment content is required'],
+    trim: true,
+    maxLength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  edited_at: {
+    type: Date,
+    default: null
+  },
+  // Deleted comments stay in place so their replies keep their thread
+  is_deleted: {
+    type: Boolean,
+    default: false
+  },
+  deleted_at: {
+    type: Date,
+    default: null
+  },
+  deleted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+commentSchema.index({ note_id: 1, created_at: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'member'],
+    default: 'member'
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  invited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Inviting user is required']
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  accepted_at: {
+    type: Date,
+    default: null
+  },
+  accepted_user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+invitationSchema.index({ tenant_id: 1, email: 1, accepted_at: 1, revoked_at: 1 });
+
+// Virtual status derived from the lifecycle timestamps
+invitationSchema.virtual('status').get(function() {
+  if (this.accepted_at) return 'accepted';
+  if (this.revoked_at) return 'revoked';
+  if (this.expires_at <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Static method to build the filter for invitations that can still be accepted
+invitationSchema.statics.pendingFilter = function(filter = {}) {
+  return {
+    ...filter,
+    accepted_at: null,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  };
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Failed login tracking, keyed per account (email) and per client IP, and failed share link passwords per link
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Throttle key is required'],
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip', 'share_link'],
+    required: [true, 'Throttle scope is required']
+  },
+  failure_count: {
+    type: Number,
+    default: 0
+  },
+  last_failure_at: {
+    type: Date,
+    default: null
+  },
+  locked_until: {
+    type: Date,
+    default: null
+  },
+  // Records are dropped once the failure window has passed without new failures
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static helpers to build throttle keys
+loginThrottleSchema.statics.accountKey = function(email) {
+  return `account:${String(email).trim().toLowerCase()}`;
+};
+
+loginThrottleSchema.statics.ipKey = function(ip) {
+  return `ip:${ip || 'unknown'}`;
+};
+
+loginThrottleSchema.statics.shareLinkKey = function(linkId) {
+  return `share_link:${linkId}`;
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -17,15 +17,19 @@ const noteSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Note title is required'],
     trim: true,
-    maxLength: [255, 'Title cannot exceed 255 characters'],
-    index: 'text' // Text search index
+    maxLength: [255, 'Title cannot exceed 255 characters']
   },
   content: {
     type: String,
     required: [true, 'Note content is required'],
     trim: true,
-    maxLength: [10000, 'Content cannot exceed 10000 characters'],
-    index: 'text' // Text search index
+    maxLength: [10000, 'Content cannot exceed 10000 characters']
+  },
+  notebook_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null,
+    index: true
   },
   tags: [{
     type: String,
@@ -33,6 +37,40 @@ const noteSchema = new mongoose.Schema({
     lowercase: true,
     maxLength: [50, 'Tag cannot exceed 50 characters']
   }],
+  // Incremented on every content change; earlier states live in NoteRevision
+  revision: {
+    type: Number,
+    default: 1,
+    min: [1, 'Revision must be at least 1']
+  },
+  last_edited_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Per-user grants; the owner and tenant admins always have full access
+  shares: [{
+    _id: false,
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Shared user ID is required']
+    },
+    permission: {
+      type: String,
+      enum: ['view', 'edit'],
+      default: 'view'
+    },
+    granted_by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    granted_at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   is_archived: {
     type: Boolean,
     default: false,
@@ -43,6 +81,16 @@ const noteSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Trash bookkeeping; trashed notes are purged after the tenant's retention period
+  deleted_at: {
+    type: Date,
+    default: null
+  },
+  deleted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   created_at: {
     type: Date,
     default: Date.now,
@@ -61,6 +109,9 @@ const noteSchema = new mongoose.Schema({
 noteSchema.index({ tenant_id: 1, user_id: 1 });
 noteSchema.index({ tenant_id: 1, created_at: -1 });
 noteSchema.index({ tenant_id: 1, is_deleted: 1, is_archived: 1 });
+noteSchema.index({ tenant_id: 1, is_deleted: 1, deleted_at: -1 });
+noteSchema.index({ tenant_id: 1, 'shares.user_id': 1 });
+// The only text index (a collection can have one); $text queries must match tenant_id exactly
 noteSchema.index({ tenant_id: 1, title: 'text', content: 'text' });
 
 // Static method to find notes by tenant with isolation [13]
@@ -82,9 +133,34 @@ noteSchema.statics.countByTenant = function(tenantId, options = {}) {
   });
 };
 
+// Static method to replace the per-field text indexes of earlier versions (title_text, content_text)
+// with the tenant-scoped one above; run at startup, since index builds fail while they exist
+noteSchema.statics.replaceLegacyTextIndexes = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // Nothing to migrate before the collection exists
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  }
+
+  const legacy = indexes.filter(index => index.key._fts === 'text' && index.key.tenant_id === undefined);
+  if (legacy.length === 0) {
+    return [];
+  }
+
+  await Promise.all(legacy.map(index => this.collection.dropIndex(index.name)));
+  await this.createIndexes();
+  return legacy.map(index => index.name);
+};
+
 // Instance method for soft delete
 noteSchema.methods.softDelete = function() {
   this.is_deleted = true;
+  this.deleted_at = new Date();
   return this.save();
 };
 
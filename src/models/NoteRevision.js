@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a note as it was at a given revision, written before each change
+const noteRevisionSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required']
+  },
+  revision: {
+    type: Number,
+    required: [true, 'Revision number is required'],
+    min: [1, 'Revision number must be at least 1']
+  },
+  title: {
+    type: String,
+    required: [true, 'Note title is required']
+  },
+  content: {
+    type: String,
+    required: [true, 'Note content is required']
+  },
+  tags: [{
+    type: String
+  }],
+  is_archived: {
+    type: Boolean,
+    default: false
+  },
+  // Who produced this revision and when
+  author_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  authored_at: {
+    type: Date,
+    required: [true, 'Authored date is required']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+// One snapshot per revision; the unique index also rejects concurrent edits of the same revision
+noteRevisionSchema.index({ note_id: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model('NoteRevision', noteRevisionSchema);
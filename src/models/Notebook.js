@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A folder of notes; notebooks nest through parent_id
+const notebookSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Notebook name is required'],
+    trim: true,
+    maxLength: [100, 'Notebook name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  parent_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook',
+    default: null
+  },
+  // Materialized path from the root down to the parent, used for subtree queries
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notebook'
+  }],
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Sibling names are unique per owner
+notebookSchema.index({ tenant_id: 1, user_id: 1, parent_id: 1, name: 1 }, { unique: true });
+notebookSchema.index({ tenant_id: 1, ancestors: 1 });
+
+// Depth of the notebook (root notebooks are at depth 1)
+notebookSchema.virtual('depth').get(function() {
+  return this.ancestors.length + 1;
+});
+
+module.exports = mongoose.model('Notebook', notebookSchema);
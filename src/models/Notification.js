@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// In-app notification for a single recipient
+const notificationSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  type: {
+    type: String,
+    enum: ['note_mention', 'comment_mention'],
+    required: [true, 'Notification type is required']
+  },
+  // Who triggered the notification
+  actor_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null
+  },
+  comment_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  excerpt: {
+    type: String,
+    default: ''
+  },
+  read_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+notificationSchema.index({ user_id: 1, read_at: 1, created_at: -1 });
+notificationSchema.index({ note_id: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const refreshTokenSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // All tokens rotated from the same login share a family (the session ID)
+  family_id: {
+    type: String,
+    required: [true, 'Token family is required'],
+    index: true
+  },
+  user_agent: {
+    type: String,
+    default: 'unknown'
+  },
+  ip_address: {
+    type: String,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['rotated', 'reuse_detected', 'logout', 'logout_all', 'user_revoked', 'admin_revoked', null],
+    default: null
+  },
+  replaced_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Let MongoDB remove expired tokens automatically
+refreshTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user_id: 1, revoked_at: 1 });
+
+// Static method to revoke every token in a family (e.g. on reuse detection)
+refreshTokenSchema.statics.revokeFamily = function(familyId, reason) {
+  return this.updateMany(
+    { family_id: familyId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+// Static method to revoke every active token for a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user_id: userId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Denylist of access token IDs (jti) revoked before their natural expiry
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: [true, 'Token ID is required'],
+    unique: true
+  },
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'admin_revoked'],
+    default: 'logout'
+  },
+  // Entries are only needed until the token would have expired anyway
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+  versionKey: false
+});
+
+revokedTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to check whether a token ID has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+  const entry = await this.exists({ jti });
+  return !!entry;
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
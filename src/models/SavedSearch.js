@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A named search-language query a user can re-run, optionally shared with the whole tenant
+const savedSearchSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Saved search name is required'],
+    trim: true,
+    maxLength: [100, 'Saved search name cannot exceed 100 characters']
+  },
+  query: {
+    type: String,
+    required: [true, 'Search query is required'],
+    trim: true,
+    maxLength: [500, 'Search query cannot exceed 500 characters']
+  },
+  sort: {
+    type: String,
+    enum: ['relevance', 'created_at', '-created_at', 'updated_at', '-updated_at', 'title', '-title', 'newest', 'oldest', 'updated'],
+    default: 'relevance'
+  },
+  // Shared searches are listed for, and runnable by, everyone in the tenant
+  is_shared: {
+    type: Boolean,
+    default: false
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Names are unique per owner
+savedSearchSchema.index({ tenant_id: 1, user_id: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ tenant_id: 1, is_shared: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// A login on one device; owns the refresh token family issued for it
+const sessionSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  user_agent: {
+    type: String,
+    default: 'unknown'
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip_address: {
+    type: String,
+    default: null
+  },
+  last_seen_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: [true, 'Expiry date is required']
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'user_revoked', 'admin_revoked', 'reuse_detected', null],
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+sessionSchema.index({ user_id: 1, revoked_at: 1, expires_at: 1 });
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to find a user's active sessions
+sessionSchema.statics.findActiveByUser = function(userId, tenantId) {
+  return this.find({
+    user_id: userId,
+    tenant_id: tenantId,
+    revoked_at: null,
+    expires_at: { $gt: new Date() }
+  }).sort({ last_seen_at: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user_id: userId, revoked_at: null },
+    { revoked_at: new Date(), revoked_reason: reason }
+  );
+};
+
+// Instance method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Public read-only link to a note; only the hash of the link token is stored
+const shareLinkSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required'],
+    index: true
+  },
+  note_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: [true, 'Note ID is required'],
+    index: true
+  },
+  token_hash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  // bcrypt hash of the optional link password
+  password_hash: {
+    type: String,
+    default: null
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creating user is required']
+  },
+  expires_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  },
+  view_count: {
+    type: Number,
+    default: 0,
+    min: [0, 'View count cannot be negative']
+  },
+  last_viewed_at: {
+    type: Date,
+    default: null
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+// Virtual status derived from the lifecycle timestamps
+shareLinkSchema.virtual('status').get(function() {
+  if (this.revoked_at) return 'revoked';
+  if (this.expires_at && this.expires_at <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Static method to build the filter for links that can still be opened
+shareLinkSchema.statics.activeFilter = function(filter = {}) {
+  return {
+    ...filter,
+    revoked_at: null,
+    $or: [
+      { expires_at: null },
+      { expires_at: { $gt: new Date() } }
+    ]
+  };
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
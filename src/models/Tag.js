@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Tenant-wide metadata for a tag; notes keep their tags as plain strings in Note.tags
+const tagSchema = new mongoose.Schema({
+  tenant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    required: [true, 'Tenant ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    trim: true,
+    lowercase: true,
+    maxLength: [50, 'Tag cannot exceed 50 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-f]{6}$/, 'Color must be a hex color such as #1a2b3c'],
+    lowercase: true,
+    default: null
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxLength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+  versionKey: false
+});
+
+tagSchema.index({ tenant_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Tag', tagSchema);
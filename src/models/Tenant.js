@@ -7,7 +7,9 @@ const tenantSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
     trim: true,
-    enum: ['acme', 'globex'], // As per assignment requirements
+    minLength: [3, 'Tenant slug must be at least 3 characters'],
+    maxLength: [40, 'Tenant slug cannot exceed 40 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Tenant slug may only contain lowercase letters, numbers and single hyphens'],
     index: true
   },
   name: {
@@ -27,6 +29,33 @@ const tenantSchema = new mongoose.Schema({
     default: 3,
     min: [0, 'Note limit cannot be negative']
   },
+  password_policy: {
+    min_length: {
+      type: Number,
+      default: 8,
+      min: [6, 'Minimum password length cannot be less than 6'],
+      max: [128, 'Minimum password length cannot exceed 128']
+    },
+    require_uppercase: { type: Boolean, default: false },
+    require_lowercase: { type: Boolean, default: false },
+    require_number: { type: Boolean, default: true },
+    require_symbol: { type: Boolean, default: false },
+    reject_common: { type: Boolean, default: true },
+    // Number of previous passwords that cannot be reused
+    history_count: {
+      type: Number,
+      default: 3,
+      min: [0, 'Password history cannot be negative'],
+      max: [24, 'Password history cannot exceed 24']
+    }
+  },
+  // Days a deleted note stays in the trash before it is purged
+  trash_retention_days: {
+    type: Number,
+    default: 30,
+    min: [1, 'Trash retention must be at least 1 day'],
+    max: [365, 'Trash retention cannot exceed 365 days']
+  },
   is_active: {
     type: Boolean,
     default: true,
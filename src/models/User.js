@@ -26,6 +26,16 @@ const userSchema = new mongoose.Schema({
     minLength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Previous password hashes, most recent first (for reuse checks)
+  password_history: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  password_changed_at: {
+    type: Date,
+    default: null
+  },
   role: {
     type: String,
     enum: ['admin', 'member'],
@@ -37,6 +47,41 @@ const userSchema = new mongoose.Schema({
     default: true,
     index: true
   },
+  two_factor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret, set once enrollment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first valid code
+    pending_secret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recovery_codes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step (prevents code replay)
+    last_used_step: {
+      type: Number,
+      select: false
+    },
+    enabled_at: {
+      type: Date,
+      default: null
+    }
+  },
+  // Incremented to invalidate every access token issued before the change
+  token_version: {
+    type: Number,
+    default: 0
+  },
   last_login: {
     type: Date,
     default: null
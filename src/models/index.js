@@ -1,9 +1,37 @@
 const Tenant = require('./Tenant');
 const User = require('./User');
 const Note = require('./Note');
+const NoteRevision = require('./NoteRevision');
+const Notebook = require('./Notebook');
+const ShareLink = require('./ShareLink');
+const Comment = require('./Comment');
+const Notification = require('./Notification');
+const Attachment = require('./Attachment');
+const SavedSearch = require('./SavedSearch');
+const Tag = require('./Tag');
+const RefreshToken = require('./RefreshToken');
+const RevokedToken = require('./RevokedToken');
+const Session = require('./Session');
+const PasswordResetToken = require('./PasswordResetToken');
+const LoginThrottle = require('./LoginThrottle');
+const Invitation = require('./Invitation');
 
 module.exports = {
   Tenant,
   User,
-  Note
+  Note,
+  NoteRevision,
+  Notebook,
+  ShareLink,
+  Comment,
+  Notification,
+  Attachment,
+  SavedSearch,
+  Tag,
+  RefreshToken,
+  RevokedToken,
+  Session,
+  PasswordResetToken,
+  LoginThrottle,
+  Invitation
 };
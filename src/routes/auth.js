@@ -1,7 +1,19 @@
 const express = require('express');
-const { validationResult } = require('express-validator');
 const authService = require('../services/authService');
-const { loginValidation } = require('../utils/validation');
+const authController = require('../controllers/authController');
+const {
+  loginValidation,
+  refreshTokenValidation,
+  sessionIdValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorVerifyValidation,
+  twoFactorDisableValidation,
+  invitationTokenValidation,
+  acceptInvitationValidation
+} = require('../utils/validation');
 const { authenticate } = require('../middleware/auth');
 const { HTTP_STATUS } = require('../utils/constants');
 
@@ -12,29 +24,49 @@ const router = express.Router();
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', loginValidation, async (req, res) => {
-  try {
-    // Check validation errors
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(HTTP_STATUS.BAD_REQUEST).json({
-        success: false,
-        message: 'Validation failed',
-        errors: errors.array()
-      });
-    }
+router.post('/login', loginValidation, authController.login);
 
-    const { email, password } = req.body;
-    const result = await authService.login(email, password);
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (requires the challenge token returned by login)
+ */
+router.post('/2fa/verify', twoFactorVerifyValidation, authController.verifyTwoFactor);
 
-    res.status(HTTP_STATUS.OK).json(result);
-  } catch (error) {
-    res.status(HTTP_STATUS.UNAUTHORIZED).json({
-      success: false,
-      message: error.message
-    });
-  }
-});
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh', refreshTokenValidation, authController.refreshToken);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link (at most one per account every few minutes)
+ * @access  Public
+ */
+router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post('/reset-password', resetPasswordValidation, authController.resetPassword);
+
+/**
+ * @route   GET /api/auth/invitations/:token
+ * @desc    Show a pending invitation (tenant, email, role)
+ * @access  Public (requires the invitation token)
+ */
+router.get('/invitations/:token', invitationTokenValidation, authController.getInvitation);
+
+/**
+ * @route   POST /api/auth/invitations/accept
+ * @desc    Accept an invitation, set a password and sign in
+ * @access  Public (requires the invitation token)
+ */
+router.post('/invitations/accept', acceptInvitationValidation, authController.acceptInvitation);
 
 /**
  * @route   GET /api/auth/profile
@@ -55,17 +87,66 @@ router.get('/profile', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user (revokes the current access and refresh tokens)
  * @access  Private
  */
-router.post('/logout', authenticate, (req, res) => {
-  // Since we're using stateless JWT, logout is handled client-side
-  // This endpoint just confirms the token is valid
-  res.status(HTTP_STATUS.OK).json({
-    success: true,
-    message: 'Logout successful. Please remove token from client storage.'
-  });
-});
+router.post('/logout', authenticate, authController.logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout user from every session
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password (signs out every other session)
+ * @access  Private
+ */
+router.post('/change-password', authenticate, changePasswordValidation, authController.changePassword);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start TOTP enrollment (returns secret and otpauth URI)
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Confirm TOTP enrollment and receive recovery codes
+ * @access  Private
+ */
+router.post('/2fa/confirm', authenticate, twoFactorCodeValidation, authController.confirmTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable two-factor authentication
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticate, twoFactorDisableValidation, authController.disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', authenticate, twoFactorCodeValidation, authController.regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) for the current user
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke one of the current user's sessions
+ * @access  Private
+ */
+router.delete('/sessions/:id', authenticate, sessionIdValidation, authController.revokeSession);
 
 /**
  * @route   GET /api/auth/verify
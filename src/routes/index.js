@@ -1,14 +1,26 @@
 const express = require('express');
 const authRoutes = require('./auth');
 const notesRoutes = require('./notes');
+const notebooksRoutes = require('./notebooks');
 const tenantsRoutes = require('./tenants');
+const savedSearchesRoutes = require('./savedSearches');
+const tagsRoutes = require('./tags');
+const notificationsRoutes = require('./notifications');
+const publicRoutes = require('./public');
+const jobsRoutes = require('./jobs');
 
 const router = express.Router();
 
 // Mount routes
 router.use('/auth', authRoutes);
 router.use('/notes', notesRoutes);
+router.use('/notebooks', notebooksRoutes);
 router.use('/tenants', tenantsRoutes);
+router.use('/saved-searches', savedSearchesRoutes);
+router.use('/tags', tagsRoutes);
+router.use('/notifications', notificationsRoutes);
+router.use('/public', publicRoutes);
+router.use('/jobs', jobsRoutes);
 
 // API info endpoint
 router.get('/', (req, res) => {
@@ -17,7 +29,12 @@ router.get('/', (req, res) => {
     documentation: {
       auth: '/api/auth - Authentication endpoints',
       notes: '/api/notes - Notes CRUD operations',
-      tenants: '/api/tenants - Tenant management'
+      notebooks: '/api/notebooks - Notebook (folder) management',
+      tenants: '/api/tenants - Tenant management',
+      savedSearches: '/api/saved-searches - Saved (and tenant-shared) note searches',
+      tags: '/api/tags - Tag usage counts, colors, rename, merge and autocomplete',
+      notifications: '/api/notifications - In-app notifications (@mentions)',
+      public: '/api/public - Public share links (no authentication)'
     }
   });
 });
@@ -0,0 +1,33 @@
+const express = require('express');
+const notesService = require('../services/notesService');
+const { authenticateCron } = require('../middleware/auth');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Scheduled job triggers, for deployments without a long-running process (Vercel Cron, see vercel.json)
+router.use(authenticateCron);
+
+/**
+ * @route   GET /api/jobs/trash-purge
+ * @desc    Permanently delete notes past their tenant's trash retention
+ * @access  Scheduler (Authorization: Bearer <CRON_SECRET>)
+ */
+router.get('/trash-purge', async (req, res) => {
+  try {
+    const purged = await notesService.purgeExpiredTrash();
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: { purged }
+    });
+  } catch (error) {
+    console.error('Trash purge job error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER_ERROR).json({
+      success: false,
+      message: 'Failed to purge expired trash'
+    });
+  }
+});
+
+module.exports = router;
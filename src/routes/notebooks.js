@@ -0,0 +1,215 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const notebookService = require('../services/notebookService');
+const { authenticate } = require('../middleware/auth');
+const {
+  notebookIdValidation,
+  createNotebookValidation,
+  updateNotebookValidation,
+  deleteNotebookValidation,
+  notebookListValidation
+} = require('../utils/validation');
+const { HTTP_STATUS, ROLES } = require('../utils/constants');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/notebooks
+ * @desc    List notebooks (?parent_id=<id>|root to list one level, ?tree=true for a nested tree)
+ * @access  Private (Admin: all notebooks, Member: own notebooks)
+ */
+router.get('/', notebookListValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const options = {
+      parent_id: req.query.parent_id,
+      tree: req.query.tree === 'true'
+    };
+
+    // Members can only see their own notebooks
+    if (req.user.role === ROLES.MEMBER) {
+      options.user_id = req.user.id;
+    }
+
+    const result = await notebookService.getNotebooks(req.user.tenant_id, options);
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notebooks
+ * @desc    Create a notebook (optionally nested under parent_id)
+ * @access  Private (Admin, Member)
+ */
+router.post('/', createNotebookValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only nest under their own notebooks
+    const scopeUserId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notebookService.createNotebook(
+      req.body,
+      req.user.id,
+      req.user.tenant_id,
+      scopeUserId
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notebooks/:id
+ * @desc    Get a notebook with its direct sub-notebooks
+ * @access  Private (Admin: any notebook, Member: own notebook)
+ */
+router.get('/:id', notebookIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only access their own notebooks
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notebookService.getNotebookById(
+      req.params.id,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notebooks/:id
+ * @desc    Rename a notebook or move it (with its sub-notebooks) under another parent
+ * @access  Private (Admin: any notebook, Member: own notebook)
+ */
+router.patch('/:id', updateNotebookValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only update their own notebooks
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notebookService.updateNotebook(
+      req.params.id,
+      req.body,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notebooks/:id
+ * @desc    Delete a notebook (?cascade=move keeps its contents one level up, ?cascade=trash trashes them)
+ * @access  Private (Admin: any notebook, Member: own notebook; cascade=trash only if every item in it is their own)
+ */
+router.delete('/:id', deleteNotebookValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only delete their own notebooks
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notebookService.deleteNotebook(
+      req.params.id,
+      req.user.tenant_id,
+      userId,
+      { cascade: req.query.cascade || 'move', deleted_by: req.user.id }
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,38 @@
 const express = require('express');
 const { validationResult } = require('express-validator');
 const notesService = require('../services/notesService');
+const shareLinkService = require('../services/shareLinkService');
+const commentService = require('../services/commentService');
+const attachmentService = require('../services/attachmentService');
+const savedSearchService = require('../services/savedSearchService');
+const notesController = require('../controllers/notesController');
 const { authenticate } = require('../middleware/auth');
 const { checkRole } = require('../middleware/rbac');
+const { uploadSingle, requireEditableNote } = require('../middleware/upload');
+const { buildNoteEtag, parseIfMatch, ifNoneMatchSatisfied } = require('../utils/etag');
 const {
   createNoteValidation,
   updateNoteValidation,
+  patchNoteValidation,
+  archiveNoteValidation,
+  moveNoteValidation,
+  noteShareValidation,
+  shareNoteValidation,
+  sharedNotesValidation,
+  noteListingValidation,
+  searchNotesValidation,
+  commentIdValidation,
+  createCommentValidation,
+  updateCommentValidation,
+  attachmentIdValidation,
+  shareLinkIdValidation,
+  createShareLinkValidation,
   noteIdValidation,
+  noteVersionValidation,
+  noteDiffValidation,
   paginationValidation
 } = require('../utils/validation');
-const { HTTP_STATUS, ROLES } = require('../utils/constants');
+const { HTTP_STATUS, ROLES, ATTACHMENTS } = require('../utils/constants');
 
 const router = express.Router();
 
@@ -33,16 +56,22 @@ router.post('/', createNoteValidation, async (req, res) => {
       });
     }
 
+    // Members can only file notes into their own notebooks
+    const scopeUserId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
     const result = await notesService.createNote(
       req.body,
       req.user.id,
-      req.user.tenant_id
+      req.user.tenant_id,
+      scopeUserId
     );
 
     res.status(HTTP_STATUS.CREATED).json(result);
   } catch (error) {
     const statusCode = error.message.includes('limit exceeded') 
       ? HTTP_STATUS.FORBIDDEN 
+      : error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
       : HTTP_STATUS.BAD_REQUEST;
     
     res.status(statusCode).json({
@@ -54,10 +83,11 @@ router.post('/', createNoteValidation, async (req, res) => {
 
 /**
  * @route   GET /api/notes
- * @desc    Get all notes for the tenant (with pagination and search)
+ * @desc    Get all notes for the tenant (?search ranked with highlights, ?search_mode, ?notebook_id, ?saved_search,
+ *          ?sort, ?pagination=cursor with ?cursor=<next_cursor>, ?include_total=false to skip counting)
  * @access  Private (Admin: all notes, Member: own notes)
  */
-router.get('/', paginationValidation, async (req, res) => {
+router.get('/', paginationValidation, noteListingValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -73,7 +103,14 @@ router.get('/', paginationValidation, async (req, res) => {
       page: parseInt(req.query.page) || 1,
       limit: parseInt(req.query.limit) || 10,
       search: req.query.search || '',
-      archived: req.query.archived === 'true'
+      search_mode: req.query.search_mode || 'text',
+      archived: req.query.archived === 'true',
+      notebook_id: req.query.notebook_id,
+      include_sub_notebooks: req.query.include_sub_notebooks === 'true',
+      sort: req.query.sort || null,
+      cursor: req.query.cursor || null,
+      pagination: req.query.pagination || 'page',
+      include_total: req.query.include_total === undefined ? undefined : req.query.include_total === 'true'
     };
 
     // Members can only see their own notes
@@ -81,10 +118,40 @@ router.get('/', paginationValidation, async (req, res) => {
       options.user_id = req.user.id;
     }
 
+    // A saved search runs like GET /api/notes/search, with the caller's current permissions
+    let savedSearch = null;
+    if (req.query.saved_search) {
+      const resolved = await savedSearchService.resolveSavedSearch(
+        req.query.saved_search,
+        req.user.tenant_id,
+        req.user.id
+      );
+      savedSearch = resolved.savedSearch;
+
+      options.parsed_query = resolved.parsed;
+      options.sort = req.query.sort || savedSearch.sort;
+      options.include_shared = true;
+      options.requester_id = req.user.id;
+    }
+
     const result = await notesService.getNotes(req.user.tenant_id, options);
+
+    if (savedSearch) {
+      result.data.saved_search = {
+        id: savedSearch._id,
+        name: savedSearch.name,
+        query: savedSearch.query,
+        sort: savedSearch.sort
+      };
+    }
+
     res.status(HTTP_STATUS.OK).json(result);
   } catch (error) {
-    res.status(HTTP_STATUS.BAD_REQUEST).json({
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
       success: false,
       message: error.message
     });
@@ -108,10 +175,88 @@ router.get('/stats', checkRole(ROLES.ADMIN), async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/notes/search
+ * @desc    Search notes, e.g. ?q=tag:design author:user@acme.test created:>2025-01-01 is:archived "exact phrase" -draft
+ *          (a leading "-" also negates qualifiers, e.g. -tag:old -author:user@acme.test -is:shared)
+ *          (?sort, ?pagination=cursor, ?cursor, ?include_total as on GET /api/notes)
+ * @access  Private (Admin: all notes, Member: own or shared notes)
+ */
+router.get('/search', searchNotesValidation, notesController.searchNotes);
+
+/**
+ * @route   GET /api/notes/trash
+ * @desc    List deleted notes that can still be restored
+ * @access  Private (Admin: all trashed notes, Member: own trashed notes)
+ */
+router.get('/trash', paginationValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const options = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10
+    };
+
+    // Members can only see their own notes
+    if (req.user.role === ROLES.MEMBER) {
+      options.user_id = req.user.id;
+    }
+
+    const result = await notesService.getTrash(req.user.tenant_id, options);
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/shared
+ * @desc    List notes other users have shared with me (?permission=view|edit)
+ * @access  Private (Admin, Member)
+ */
+router.get('/shared', sharedNotesValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await notesService.getSharedNotes(req.user.tenant_id, req.user.id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10,
+      permission: req.query.permission || null
+    });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/notes/:id
- * @desc    Get a specific note
- * @access  Private (Admin: any note, Member: own note)
+ * @desc    Get a specific note (sends an ETag, honors If-None-Match)
+ * @access  Private (Admin: any note, Member: own or shared note)
  */
 router.get('/:id', noteIdValidation, async (req, res) => {
   try {
@@ -134,6 +279,13 @@ router.get('/:id', noteIdValidation, async (req, res) => {
       userId
     );
 
+    // Let clients revalidate cached copies cheaply
+    const etag = buildNoteEtag(result.data);
+    res.set('ETag', etag);
+    if (ifNoneMatchSatisfied(req.get('If-None-Match'), etag)) {
+      return res.status(HTTP_STATUS.NOT_MODIFIED).end();
+    }
+
     res.status(HTTP_STATUS.OK).json(result);
   } catch (error) {
     const statusCode = error.message.includes('not found') 
@@ -148,11 +300,11 @@ router.get('/:id', noteIdValidation, async (req, res) => {
 });
 
 /**
- * @route   PUT /api/notes/:id
- * @desc    Update a note
- * @access  Private (Admin: any note, Member: own note)
+ * @route   GET /api/notes/:id/versions
+ * @desc    List the revision history of a note
+ * @access  Private (Admin: any note, Member: own or shared note)
  */
-router.put('/:id', updateNoteValidation, async (req, res) => {
+router.get('/:id/versions', noteIdValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -164,22 +316,21 @@ router.put('/:id', updateNoteValidation, async (req, res) => {
       });
     }
 
-    // Members can only update their own notes
+    // Members can only access their own notes
     const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
 
-    const result = await notesService.updateNote(
+    const result = await notesService.getNoteVersions(
       req.params.id,
-      req.body,
       req.user.tenant_id,
       userId
     );
 
     res.status(HTTP_STATUS.OK).json(result);
   } catch (error) {
-    const statusCode = error.message.includes('not found') 
-      ? HTTP_STATUS.NOT_FOUND 
-      : HTTP_STATUS.BAD_REQUEST;
-    
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
     res.status(statusCode).json({
       success: false,
       message: error.message
@@ -188,11 +339,11 @@ router.put('/:id', updateNoteValidation, async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/notes/:id
- * @desc    Delete a note
- * @access  Private (Admin: any note, Member: own note)
+ * @route   GET /api/notes/:id/versions/diff
+ * @desc    Diff two revisions (?from=&to=, to defaults to the current revision)
+ * @access  Private (Admin: any note, Member: own or shared note)
  */
-router.delete('/:id', noteIdValidation, async (req, res) => {
+router.get('/:id/versions/diff', noteDiffValidation, async (req, res) => {
   try {
     // Check validation errors
     const errors = validationResult(req);
@@ -204,15 +355,958 @@ router.delete('/:id', noteIdValidation, async (req, res) => {
       });
     }
 
-    // Members can only delete their own notes
+    // Members can only access their own notes
     const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
 
-    const result = await notesService.deleteNote(
+    const result = await notesService.diffNoteVersions(
+      req.params.id,
+      parseInt(req.query.from),
+      parseInt(req.query.to) || null,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/versions/:rev
+ * @desc    Get a single revision of a note
+ * @access  Private (Admin: any note, Member: own or shared note)
+ */
+router.get('/:id/versions/:rev', noteVersionValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only access their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.getNoteVersion(
+      req.params.id,
+      req.params.rev,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/versions/:rev/restore
+ * @desc    Restore a note to an earlier revision
+ * @access  Private (Admin: any note, Member: own note or shared with edit permission)
+ */
+router.post('/:id/versions/:rev/restore', noteVersionValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only access their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.restoreNoteVersion(
+      req.params.id,
+      req.params.rev,
+      req.user.tenant_id,
+      userId,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/comments
+ * @desc    Get the comment threads of a note
+ * @access  Private (Admin: any note, Member: own or shared note)
+ */
+router.get('/:id/comments', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only discuss notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await commentService.getComments(
       req.params.id,
       req.user.tenant_id,
       userId
     );
 
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/comments
+ * @desc    Comment on a note (parent_id replies to an existing comment)
+ * @access  Private (Admin: any note, Member: own or shared note)
+ */
+router.post('/:id/comments', createCommentValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only discuss notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await commentService.createComment(
+      req.params.id,
+      req.body,
+      req.user.tenant_id,
+      userId,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notes/:id/comments/:commentId
+ * @desc    Edit a comment
+ * @access  Private (Comment author)
+ */
+router.put('/:id/comments/:commentId', updateCommentValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only discuss notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await commentService.updateComment(
+      req.params.id,
+      req.params.commentId,
+      req.body.content,
+      req.user.tenant_id,
+      userId,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id/comments/:commentId
+ * @desc    Delete a comment (replies stay under a placeholder)
+ * @access  Private (Comment author, Admin: any comment)
+ */
+router.delete('/:id/comments/:commentId', commentIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only discuss notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await commentService.deleteComment(
+      req.params.id,
+      req.params.commentId,
+      req.user.tenant_id,
+      userId,
+      req.user
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/attachments
+ * @desc    List the attachments of a note
+ * @access  Private (Admin: any note, Member: own or shared note)
+ */
+router.get('/:id/attachments', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only reach attachments of notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await attachmentService.getAttachments(
+      req.params.id,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/attachments
+ * @desc    Upload a file (multipart field "file"; X-File-Name may carry a percent-encoded name)
+ * @access  Private (Admin: any note, Member: own note or shared with edit permission)
+ */
+router.post('/:id/attachments', [
+  noteIdValidation,
+  // Checked before multer buffers the file, so nothing is read for notes the caller cannot edit
+  requireEditableNote,
+  uploadSingle(ATTACHMENTS.FIELD_NAME)
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only reach attachments of notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await attachmentService.uploadAttachment(
+      req.params.id,
+      req.file,
+      req.user.tenant_id,
+      userId,
+      req.user.id,
+      { filename: req.get(ATTACHMENTS.FILENAME_HEADER) }
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private (Admin: any note, Member: own or shared note)
+ */
+router.get('/:id/attachments/:attachmentId', attachmentIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only reach attachments of notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const { attachment, stream } = await attachmentService.openAttachment(
+      req.params.id,
+      req.params.attachmentId,
+      req.user.tenant_id,
+      userId
+    );
+
+    // Always download (never render inline) so uploaded HTML or SVG cannot run in our origin
+    res.set({
+      'Content-Type': attachment.mime_type,
+      'Content-Length': attachment.size,
+      'Content-Disposition': `attachment; filename="${attachment.filename.replace(/[^\x20-\x7e]/g, '_')}"; ` +
+        `filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+      'Cache-Control': 'private, no-cache'
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment download error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id/attachments/:attachmentId
+ * @desc    Delete an attachment
+ * @access  Private (Admin: any note, Member: own note or shared with edit permission)
+ */
+router.delete('/:id/attachments/:attachmentId', attachmentIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only reach attachments of notes they own or that are shared with them
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await attachmentService.deleteAttachment(
+      req.params.id,
+      req.params.attachmentId,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/shares
+ * @desc    List who a note is shared with
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.get('/:id/shares', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage sharing of their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.getNoteShares(
+      req.params.id,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notes/:id/shares/:userId
+ * @desc    Share a note with a tenant user or change their permission (view | edit)
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.put('/:id/shares/:userId', shareNoteValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage sharing of their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.shareNote(
+      req.params.id,
+      req.params.userId,
+      req.body.permission,
+      req.user.tenant_id,
+      userId,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id/shares/:userId
+ * @desc    Revoke a user's access to a note
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.delete('/:id/shares/:userId', noteShareValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage sharing of their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.unshareNote(
+      req.params.id,
+      req.params.userId,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/notes/:id/links
+ * @desc    List the public share links of a note
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.get('/:id/links', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage links to their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await shareLinkService.getShareLinks(
+      req.params.id,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/links
+ * @desc    Create a public read-only link (optional expires_in_days and password); the token is only returned once
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.post('/:id/links', createShareLinkValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage links to their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await shareLinkService.createShareLink(
+      req.params.id,
+      req.body,
+      req.user.tenant_id,
+      userId,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id/links/:linkId
+ * @desc    Revoke a public share link
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.delete('/:id/links/:linkId', shareLinkIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage links to their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await shareLinkService.revokeShareLink(
+      req.params.id,
+      req.params.linkId,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/notes/:id
+ * @desc    Update a note (honors If-Match with the note's ETag)
+ * @access  Private (Admin: any note, Member: own note or shared with edit permission)
+ */
+router.put('/:id', updateNoteValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only update their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.updateNote(
+      req.params.id,
+      req.body,
+      req.user.tenant_id,
+      userId,
+      req.user.id,
+      { ifMatch: parseIfMatch(req.get('If-Match')) }
+    );
+
+    res.set('ETag', buildNoteEtag(result.data));
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    // On a failed If-Match, hand back the server's version so the client can merge
+    if (error.current) {
+      res.set('ETag', buildNoteEtag(error.current));
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.current && { data: error.current })
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notes/:id
+ * @desc    Partially update a note (JSON Merge Patch plus add_tags / remove_tags; honors If-Match)
+ * @access  Private (Admin: any note, Member: own note or shared with edit permission)
+ */
+router.patch('/:id', patchNoteValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only update their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.patchNote(
+      req.params.id,
+      req.body,
+      req.user.tenant_id,
+      userId,
+      req.user.id,
+      { ifMatch: parseIfMatch(req.get('If-Match')) }
+    );
+
+    res.set('ETag', buildNoteEtag(result.data));
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    // On a failed If-Match, hand back the server's version so the client can merge
+    if (error.current) {
+      res.set('ETag', buildNoteEtag(error.current));
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.current && { data: error.current })
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/notes/:id/archive
+ * @desc    Archive or unarchive a note
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.patch('/:id/archive', archiveNoteValidation, notesController.toggleArchiveNote);
+
+/**
+ * @route   POST /api/notes/:id/move
+ * @desc    Move a note into a notebook (notebook_id: null moves it out of its notebook)
+ * @access  Private (Admin: any note, Member: own note into own notebook)
+ */
+router.post('/:id/move', moveNoteValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only move their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.moveNote(
+      req.params.id,
+      req.body.notebook_id,
+      req.user.tenant_id,
+      userId,
+      req.user.id,
+      { ifMatch: parseIfMatch(req.get('If-Match')) }
+    );
+
+    res.set('ETag', buildNoteEtag(result.data));
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    // On a failed If-Match, hand back the server's version so the client can merge
+    if (error.current) {
+      res.set('ETag', buildNoteEtag(error.current));
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.current && { data: error.current })
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notes/:id/restore
+ * @desc    Restore a note from the trash (re-checks the plan note limit)
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.post('/:id/restore', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.restoreNote(
+      req.params.id,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('limit exceeded')
+      ? HTTP_STATUS.FORBIDDEN
+      : error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id/permanent
+ * @desc    Permanently delete a trashed note
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.delete('/:id/permanent', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only manage their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.permanentlyDeleteNote(
+      req.params.id,
+      req.user.tenant_id,
+      userId
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('limit exceeded')
+      ? HTTP_STATUS.FORBIDDEN
+      : error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/notes/:id
+ * @desc    Delete a note
+ * @access  Private (Admin: any note, Member: own note)
+ */
+router.delete('/:id', noteIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members can only delete their own notes
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await notesService.deleteNote(
+      req.params.id,
+      req.user.tenant_id,
+      userId,
+      req.user.id
+    );
+
     res.status(HTTP_STATUS.OK).json(result);
   } catch (error) {
     const statusCode = error.message.includes('not found') 
@@ -0,0 +1,101 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notificationService');
+const { authenticate } = require('../middleware/auth');
+const {
+  notificationIdValidation,
+  notificationListValidation
+} = require('../utils/validation');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/notifications
+ * @desc    List my notifications, newest first (?unread=true for unread only)
+ * @access  Private (Admin, Member)
+ */
+router.get('/', notificationListValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await notificationService.getNotifications(req.user.tenant_id, req.user.id, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      unread: req.query.unread === 'true'
+    });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/read-all
+ * @desc    Mark all my notifications as read
+ * @access  Private (Admin, Member)
+ */
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await notificationService.markAllAsRead(req.user.tenant_id, req.user.id);
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/notifications/:id/read
+ * @desc    Mark one of my notifications as read
+ * @access  Private (Admin, Member)
+ */
+router.post('/:id/read', notificationIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await notificationService.markAsRead(
+      req.user.tenant_id,
+      req.user.id,
+      req.params.id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
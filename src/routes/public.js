@@ -0,0 +1,57 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const shareLinkService = require('../services/shareLinkService');
+const { optionalAuthenticate } = require('../middleware/auth');
+const { publicNoteValidation } = require('../utils/validation');
+const { HTTP_STATUS, SHARE_LINKS } = require('../utils/constants');
+
+const router = express.Router();
+
+// Public routes do not require a token, but recognize a signed-in viewer
+router.use(optionalAuthenticate);
+
+/**
+ * @route   GET /api/public/notes/:token
+ * @desc    Read-only view of a note shared by link (password via X-Share-Password header; wrong
+ *          passwords are throttled per link and answered with 429/423 and Retry-After)
+ * @access  Public
+ */
+router.get('/notes/:token', publicNoteValidation, async (req, res) => {
+  // Shared content must not be cached by proxies or indexed by crawlers
+  res.set({
+    'Cache-Control': 'no-store',
+    'X-Robots-Tag': 'noindex, nofollow'
+  });
+
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await shareLinkService.getPublicNote(
+      req.params.token,
+      req.get(SHARE_LINKS.PASSWORD_HEADER) || null,
+      req.user
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message,
+      ...(error.code && { code: error.code, retry_after: error.retryAfter })
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,199 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const savedSearchService = require('../services/savedSearchService');
+const { authenticate } = require('../middleware/auth');
+const {
+  savedSearchIdValidation,
+  createSavedSearchValidation,
+  updateSavedSearchValidation,
+  savedSearchListValidation
+} = require('../utils/validation');
+const { HTTP_STATUS } = require('../utils/constants');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    List my saved searches and those shared with the tenant (?scope=all|mine|shared)
+ * @access  Private (Admin, Member)
+ */
+router.get('/', savedSearchListValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await savedSearchService.getSavedSearches(
+      req.user.tenant_id,
+      req.user.id,
+      { scope: req.query.scope || 'all' }
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a search (name, query, sort, is_shared); run it with GET /api/notes?saved_search=:id
+ * @access  Private (Admin, Member)
+ */
+router.post('/', createSavedSearchValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await savedSearchService.createSavedSearch(
+      req.body,
+      req.user.tenant_id,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/saved-searches/:id
+ * @desc    Get a saved search
+ * @access  Private (Owner, or anyone in the tenant when shared)
+ */
+router.get('/:id', savedSearchIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await savedSearchService.getSavedSearchById(
+      req.params.id,
+      req.user.tenant_id,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/saved-searches/:id
+ * @desc    Update a saved search (including sharing it tenant-wide with is_shared)
+ * @access  Private (Owner)
+ */
+router.put('/:id', updateSavedSearchValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await savedSearchService.updateSavedSearch(
+      req.params.id,
+      req.body,
+      req.user.tenant_id,
+      req.user.id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private (Owner, Admin: shared searches)
+ */
+router.delete('/:id', savedSearchIdValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await savedSearchService.deleteSavedSearch(
+      req.params.id,
+      req.user.tenant_id,
+      req.user
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const tagService = require('../services/tagService');
+const { authenticate } = require('../middleware/auth');
+const { checkRole } = require('../middleware/rbac');
+const {
+  tagListValidation,
+  tagAutocompleteValidation,
+  updateTagValidation,
+  renameTagValidation,
+  mergeTagsValidation
+} = require('../utils/validation');
+const { HTTP_STATUS, ROLES, TAGS } = require('../utils/constants');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/tags
+ * @desc    List the tenant's tags with usage counts, colors and descriptions (?sort=count|name)
+ * @access  Private (Admin: counts over all notes, Member: counts over own or shared notes)
+ */
+router.get('/', tagListValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members only count the notes they can see
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await tagService.getTags(req.user.tenant_id, userId, {
+      sort: req.query.sort || 'count'
+    });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tags/autocomplete
+ * @desc    Suggest tags starting with ?prefix, most used first (?limit)
+ * @access  Private (Admin: all notes, Member: own or shared notes)
+ */
+router.get('/autocomplete', tagAutocompleteValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Members only see tags from the notes they can see
+    const userId = req.user.role === ROLES.MEMBER ? req.user.id : null;
+
+    const result = await tagService.autocompleteTags(req.user.tenant_id, userId, {
+      prefix: req.query.prefix || '',
+      limit: parseInt(req.query.limit) || TAGS.AUTOCOMPLETE_LIMIT
+    });
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tags/merge
+ * @desc    Merge tags (sources) into a target tag on every note in the tenant
+ * @access  Private (Admin only)
+ */
+router.post('/merge', [
+  checkRole(ROLES.ADMIN),
+  mergeTagsValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tagService.mergeTags(
+      req.body.sources,
+      req.body.target,
+      req.user.tenant_id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/tags/:name
+ * @desc    Set a tag's color and/or description
+ * @access  Private (Admin only)
+ */
+router.patch('/:name', [
+  checkRole(ROLES.ADMIN),
+  updateTagValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tagService.updateTag(
+      req.params.name,
+      req.body,
+      req.user.tenant_id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tags/:name/rename
+ * @desc    Rename a tag on every note in the tenant (409 if the new name exists; merge instead)
+ * @access  Private (Admin only)
+ */
+router.post('/:name/rename', [
+  checkRole(ROLES.ADMIN),
+  renameTagValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tagService.renameTag(
+      req.params.name,
+      req.body.name,
+      req.user.tenant_id
+    );
+
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
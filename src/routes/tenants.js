@@ -1,14 +1,59 @@
 const express = require('express');
 const { validationResult } = require('express-validator');
 const tenantService = require('../services/tenantService');
+const invitationService = require('../services/invitationService');
+const tenantController = require('../controllers/tenantsController');
+const { getClientContext } = require('../utils/requestContext');
 const { authenticate } = require('../middleware/auth');
-const { checkRole } = require('../middleware/rbac');
-const { tenantSlugValidation } = require('../utils/validation');
+const { checkRole, checkPermissions } = require('../middleware/rbac');
+const {
+  tenantSlugValidation,
+  tenantSignupValidation,
+  tenantSettingsValidation,
+  userIdValidation,
+  updateUserRoleValidation,
+  removeUserValidation,
+  createInvitationValidation,
+  invitationIdValidation
+} = require('../utils/validation');
 const { HTTP_STATUS, ROLES } = require('../utils/constants');
 
 const router = express.Router();
 
-// All routes require authentication
+/**
+ * @route   POST /api/tenants/signup
+ * @desc    Create a tenant and its first admin user
+ * @access  Public
+ */
+router.post('/signup', tenantSignupValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, slug, email, password } = req.body;
+    const result = await tenantService.signup(
+      { name, slug, email, password },
+      getClientContext(req)
+    );
+
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details })
+    });
+  }
+});
+
+// All other routes require authentication
 router.use(authenticate);
 
 /**
@@ -45,6 +90,23 @@ router.get('/subscription', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/tenants/settings
+ * @desc    Get tenant settings (password policy, trash retention)
+ * @access  Private (Admin, Member)
+ */
+router.get('/settings', tenantController.getTenantSettings);
+
+/**
+ * @route   PUT /api/tenants/settings
+ * @desc    Update tenant settings
+ * @access  Private (Admin only)
+ */
+router.put('/settings', [
+  checkRole(ROLES.ADMIN),
+  tenantSettingsValidation
+], tenantController.updateTenantSettings);
+
 /**
  * @route   POST /api/tenants/:slug/upgrade
  * @desc    Upgrade tenant subscription to Pro
@@ -88,14 +150,15 @@ router.post('/:slug/upgrade', [
 
 /**
  * @route   GET /api/tenants/users
- * @desc    Get all users for the tenant
+ * @desc    Get all users for the tenant (?include_inactive=true to list deactivated users)
  * @access  Private (Admin only)
  */
 router.get('/users', checkRole(ROLES.ADMIN), async (req, res) => {
   try {
     const result = await tenantService.getTenantUsers(
       req.user.tenant_id,
-      req.user.id
+      req.user.id,
+      { include_inactive: req.query.include_inactive === 'true' }
     );
     res.status(HTTP_STATUS.OK).json(result);
   } catch (error) {
@@ -110,4 +173,321 @@ router.get('/users', checkRole(ROLES.ADMIN), async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/tenants/users/invitations
+ * @desc    Invite a user to the tenant by email
+ * @access  Private (Admin only)
+ */
+router.post('/users/invitations', [
+  checkPermissions('users:invite'),
+  createInvitationValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await invitationService.createInvitation(
+      req.user.tenant_id,
+      req.user.id,
+      req.body.email,
+      req.body.role
+    );
+    res.status(HTTP_STATUS.CREATED).json(result);
+  } catch (error) {
+    res.status(error.statusCode || HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tenants/users/invitations
+ * @desc    List invitations (pending by default, ?status=all for history)
+ * @access  Private (Admin only)
+ */
+router.get('/users/invitations', checkPermissions('users:invite'), async (req, res) => {
+  try {
+    const result = await invitationService.listInvitations(req.user.tenant_id, {
+      status: req.query.status === 'all' ? 'all' : 'pending'
+    });
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tenants/users/invitations/:id
+ * @desc    Revoke a pending invitation
+ * @access  Private (Admin only)
+ */
+router.delete('/users/invitations/:id', [
+  checkPermissions('users:invite'),
+  invitationIdValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await invitationService.revokeInvitation(
+      req.user.tenant_id,
+      req.params.id
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/tenants/users/:id/role
+ * @desc    Change a user's role
+ * @access  Private (Admin only)
+ */
+router.patch('/users/:id/role', [
+  checkRole(ROLES.ADMIN),
+  updateUserRoleValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tenantService.updateUserRole(
+      req.user.tenant_id,
+      req.params.id,
+      req.body.role
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tenants/users/:id/deactivate
+ * @desc    Deactivate a user and revoke all of their tokens
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/deactivate', [
+  checkRole(ROLES.ADMIN),
+  userIdValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tenantService.deactivateUser(
+      req.user.tenant_id,
+      req.params.id,
+      req.user.id
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tenants/users/:id/reactivate
+ * @desc    Reactivate a deactivated user
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/reactivate', [
+  checkRole(ROLES.ADMIN),
+  userIdValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tenantService.reactivateUser(
+      req.user.tenant_id,
+      req.params.id
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/tenants/users/:id
+ * @desc    Remove a user, transferring their content to another user (defaults to the admin) and revoking their share links
+ * @access  Private (Admin only)
+ */
+router.delete('/users/:id', [
+  checkRole(ROLES.ADMIN),
+  removeUserValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tenantService.removeUser(
+      req.user.tenant_id,
+      req.params.id,
+      req.user.id,
+      req.body.transfer_to
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.statusCode || (error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST);
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tenants/users/:id/revoke-sessions
+ * @desc    Revoke every active session of a user
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/revoke-sessions', [
+  checkRole(ROLES.ADMIN),
+  userIdValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tenantService.revokeUserSessions(
+      req.user.tenant_id,
+      req.params.id
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tenants/users/:id/unlock
+ * @desc    Clear failed-login delays and lockouts for a user
+ * @access  Private (Admin only)
+ */
+router.post('/users/:id/unlock', [
+  checkRole(ROLES.ADMIN),
+  userIdValidation
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await tenantService.unlockUser(
+      req.user.tenant_id,
+      req.params.id
+    );
+    res.status(HTTP_STATUS.OK).json(result);
+  } catch (error) {
+    const statusCode = error.message.includes('not found')
+      ? HTTP_STATUS.NOT_FOUND
+      : HTTP_STATUS.BAD_REQUEST;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Attachment, Tenant } = require('../models');
+const notesService = require('./notesService');
+const storageService = require('./storageService');
+const { sniffMimeType } = require('../utils/mimeSniff');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, NOTE_PERMISSIONS, ATTACHMENTS, SUBSCRIPTION_PLANS } = require('../utils/constants');
+
+class AttachmentService {
+  /**
+   * Format an attachment for responses (never includes the storage key)
+   * @param {Object} attachment - Attachment document
+   * @returns {Object} - Attachment data
+   */
+  formatAttachment(attachment) {
+    return {
+      id: attachment._id,
+      note_id: attachment.note_id,
+      filename: attachment.filename,
+      mime_type: attachment.mime_type,
+      size: attachment.size,
+      checksum: attachment.checksum,
+      uploaded_by: attachment.uploaded_by && attachment.uploaded_by.email
+        ? { id: attachment.uploaded_by._id, email: attachment.uploaded_by.email }
+        : attachment.uploaded_by,
+      created_at: attachment.created_at
+    };
+  }
+
+  /**
+   * Decode the X-File-Name header, which carries non-ASCII names percent-encoded
+   * @param {string} header - Header value
+   * @returns {string|null} - File name
+   */
+  decodeFilenameHeader(header) {
+    if (!header) {
+      return null;
+    }
+
+    try {
+      return decodeURIComponent(header);
+    } catch (error) {
+      return header;
+    }
+  }
+
+  /**
+   * Clean up a client-supplied file name
+   * @param {string} name - File name from the X-File-Name header or the multipart part
+   * @returns {string} - Safe file name
+   */
+  sanitizeFilename(name) {
+    const cleaned = path.basename(String(name || '').replace(/\\/g, '/'))
+      .replace(/[\u0000-\u001f\u007f"]/g, '')
+      .trim()
+      .slice(0, ATTACHMENTS.MAX_FILENAME_LENGTH);
+
+    return cleaned || 'attachment';
+  }
+
+  /**
+   * Get the attachment limits of a tenant's plan
+   * @param {Object} tenant - Tenant document
+   * @returns {Object} - Limits (MAX_FILE_SIZE, MAX_TOTAL_SIZE)
+   */
+  getPlanLimits(tenant) {
+    return ATTACHMENTS.PLAN_LIMITS[tenant.subscription_plan] ||
+      ATTACHMENTS.PLAN_LIMITS[SUBSCRIPTION_PLANS.FREE];
+  }
+
+  /**
+   * Build the error for an upload that would exceed the plan's storage quota
+   * @param {number} used - Bytes already stored
+   * @param {Object} limits - Plan limits
+   * @returns {CustomError} - 403 error with usage details
+   */
+  buildQuotaError(used, limits) {
+    const error = new CustomError(ERROR_MESSAGES.ATTACHMENT.QUOTA_EXCEEDED, HTTP_STATUS.FORBIDDEN);
+    error.details = { used, limit: limits.MAX_TOTAL_SIZE };
+    return error;
+  }
+
+  /**
+   * Get the bytes a tenant currently stores in attachments (trashed notes included)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<number>} - Total size in bytes
+   */
+  async getStorageUsage(tenantId) {
+    const [usage] = await Attachment.aggregate([
+      { $match: { tenant_id: new mongoose.Types.ObjectId(String(tenantId)) } },
+      { $group: { _id: null, total: { $sum: '$size' } } }
+    ]);
+
+    return usage ? usage.total : 0;
+  }
+
+  /**
+   * Attach an uploaded file to a note
+   * @param {string} noteId - Note ID
+   * @param {Object} file - Parsed upload (originalname, mimetype, size, buffer)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared with edit permission)
+   * @param {string} uploaderId - ID of uploading user
+   * @param {Object} options - Upload options (filename: X-File-Name header, overrides the multipart file name)
+   * @returns {Promise<Object>} - Created attachment
+   */
+  async uploadAttachment(noteId, file, tenantId, userId = null, uploaderId = null, options = {}) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId, NOTE_PERMISSIONS.EDIT);
+
+      if (!file) {
+        throw new Error(ERROR_MESSAGES.ATTACHMENT.FILE_REQUIRED);
+      }
+
+      const tenant = await Tenant.findById(tenantId);
+      if (!tenant) {
+        throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
+      }
+
+      const limits = this.getPlanLimits(tenant);
+      if (file.size > limits.MAX_FILE_SIZE) {
+        const error = new CustomError(ERROR_MESSAGES.ATTACHMENT.FILE_TOO_LARGE, HTTP_STATUS.PAYLOAD_TOO_LARGE);
+        error.details = { max_file_size: limits.MAX_FILE_SIZE };
+        throw error;
+      }
+
+      const filename = this.sanitizeFilename(this.decodeFilenameHeader(options.filename) || file.originalname);
+      const mimeType = sniffMimeType(file.buffer, filename);
+      if (!ATTACHMENTS.ALLOWED_MIME_TYPES.includes(mimeType)) {
+        throw new CustomError(ERROR_MESSAGES.ATTACHMENT.TYPE_NOT_ALLOWED, HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE);
+      }
+
+      const usage = await this.getStorageUsage(tenantId);
+      if (usage + file.size > limits.MAX_TOTAL_SIZE) {
+        throw this.buildQuotaError(usage, limits);
+      }
+
+      const driver = storageService.getDriver();
+      const storageKey = `${tenantId}/${note._id}/${crypto.randomUUID()}`;
+      await storageService.put(storageKey, file.buffer, { contentType: mimeType });
+
+      let attachment;
+      try {
+        attachment = await Attachment.create({
+          tenant_id: tenantId,
+          note_id: note._id,
+          uploaded_by: uploaderId || userId,
+          filename,
+          mime_type: mimeType,
+          declared_mime_type: file.mimetype || null,
+          size: file.size,
+          checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+          storage_driver: driver.name,
+          storage_key: storageKey
+        });
+      } catch (error) {
+        // Do not leave orphaned content behind
+        await storageService.deleteMany([storageKey]);
+        throw error;
+      }
+
+      // Concurrent uploads can all pass the check above; count again now that this file is
+      // recorded and back out if the tenant went over. Racing uploads may then all fail, but
+      // they can never all succeed
+      const usageAfter = await this.getStorageUsage(tenantId);
+      if (usageAfter > limits.MAX_TOTAL_SIZE) {
+        await Attachment.deleteOne({ _id: attachment._id });
+        await storageService.deleteMany([storageKey]);
+        throw this.buildQuotaError(usageAfter - file.size, limits);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.ATTACHMENT.UPLOADED,
+        data: this.formatAttachment(attachment)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List the attachments of a note
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @returns {Promise<Object>} - Attachments
+   */
+  async getAttachments(noteId, tenantId, userId = null) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId);
+
+      const attachments = await Attachment.find({ tenant_id: tenantId, note_id: note._id })
+        .populate('uploaded_by', 'email')
+        .sort({ created_at: 1 });
+
+      return {
+        success: true,
+        data: {
+          note_id: note._id,
+          attachments: attachments.map(attachment => this.formatAttachment(attachment)),
+          total_size: attachments.reduce((total, attachment) => total + attachment.size, 0)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Open an attachment's content for download
+   * Returns the document and a readable stream rather than a JSON payload
+   * @param {string} noteId - Note ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @returns {Promise<Object>} - { attachment, stream }
+   */
+  async openAttachment(noteId, attachmentId, tenantId, userId = null) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId);
+
+      const attachment = await Attachment.findOne({
+        _id: attachmentId,
+        tenant_id: tenantId,
+        note_id: note._id
+      });
+
+      if (!attachment) {
+        throw new Error(ERROR_MESSAGES.ATTACHMENT.NOT_FOUND);
+      }
+
+      let stream;
+      try {
+        stream = await storageService.get(attachment.storage_key);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new CustomError(ERROR_MESSAGES.ATTACHMENT.CONTENT_MISSING, HTTP_STATUS.NOT_FOUND);
+        }
+        throw error;
+      }
+
+      return { attachment, stream };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an attachment and its stored content
+   * @param {string} noteId - Note ID
+   * @param {string} attachmentId - Attachment ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared with edit permission)
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteAttachment(noteId, attachmentId, tenantId, userId = null) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId, NOTE_PERMISSIONS.EDIT);
+
+      const attachment = await Attachment.findOneAndDelete({
+        _id: attachmentId,
+        tenant_id: tenantId,
+        note_id: note._id
+      });
+
+      if (!attachment) {
+        throw new Error(ERROR_MESSAGES.ATTACHMENT.NOT_FOUND);
+      }
+
+      await storageService.deleteMany([attachment.storage_key]);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.ATTACHMENT.DELETED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new AttachmentService();
@@ -1,17 +1,35 @@
-const { User, Tenant } = require('../models');
-const { generateToken } = require('../utils/jwt');
-const { comparePassword } = require('../utils/bcrypt');
-const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../utils/constants');
+const { User, Tenant, Session, PasswordResetToken } = require('../models');
+const tokenService = require('./tokenService');
+const mailService = require('./mailService');
+const passwordService = require('./passwordService');
+const twoFactorService = require('./twoFactorService');
+const loginThrottleService = require('./loginThrottleService');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { comparePassword, hashPassword } = require('../utils/bcrypt');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, AUTH_TOKENS } = require('../utils/constants');
+
+// Compared against when the email is unknown so response timing does not reveal it
+let dummyHashPromise = null;
+const getDummyHash = () => {
+  if (!dummyHashPromise) {
+    dummyHashPromise = hashPassword(generateSecureToken(16));
+  }
+  return dummyHashPromise;
+};
 
 class AuthService {
   /**
    * Authenticate user login
    * @param {string} email - User email
    * @param {string} password - User password
+   * @param {Object} context - Client context (user_agent, ip)
    * @returns {Promise<Object>} - Authentication result
    */
-  async login(email, password) {
+  async login(email, password, context = {}) {
     try {
+      // Reject early while the account or IP is delayed/locked
+      await loginThrottleService.assertCanAttempt(email, context.ip);
+
       // Find user with password and populate tenant info
       const user = await User.findOne({ 
         email: email.toLowerCase(),
@@ -20,9 +38,9 @@ class AuthService {
       .select('+password_hash')
       .populate('tenant_id', 'slug name subscription_plan');
 
-      console.log("User fetched:", user);
-
       if (!user) {
+        await comparePassword(password, await getDummyHash());
+        await loginThrottleService.recordFailure(email, context.ip);
         throw new Error(ERROR_MESSAGES.AUTH.INVALID_CREDENTIALS);
       }
 
@@ -31,69 +49,381 @@ class AuthService {
         throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
       }
 
-      console.log("Tenant info:", user.tenant_id);
-
       // Compare password
       const isPasswordValid = await comparePassword(password, user.password_hash);
       if (!isPasswordValid) {
+        await loginThrottleService.recordFailure(email, context.ip);
+        throw new Error(ERROR_MESSAGES.AUTH.INVALID_CREDENTIALS);
+      }
+
+      // Second step required: hand out an interim challenge instead of tokens
+      if (user.two_factor && user.two_factor.enabled) {
+        return {
+          success: true,
+          message: SUCCESS_MESSAGES.TWO_FACTOR.CHALLENGE_REQUIRED,
+          data: {
+            two_factor_required: true,
+            challenge_token: twoFactorService.createChallengeToken(user),
+            expires_in: AUTH_TOKENS.TWO_FACTOR_CHALLENGE_EXPIRES_IN
+          }
+        };
+      }
+
+      return await this.completeLogin(user, context);
+
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Complete a two-step login with a TOTP or recovery code
+   * @param {string} challengeToken - Interim token returned by login
+   * @param {Object} credentials - { code } or { recovery_code }
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - Authentication result
+   */
+  async verifyTwoFactorLogin(challengeToken, credentials, context = {}) {
+    try {
+      const decoded = twoFactorService.verifyChallengeToken(challengeToken);
+
+      const user = await twoFactorService.findUserWithSecrets(decoded.id, decoded.tenant_id);
+      if (!user) {
         throw new Error(ERROR_MESSAGES.AUTH.INVALID_CREDENTIALS);
       }
-      console.log('Password valid');
 
-      console.log('Generating token for user:', user._id);
+      // Second-factor guesses count against the same account budget as passwords
+      await loginThrottleService.assertCanAttempt(user.email, context.ip);
+
+      const isValid = await twoFactorService.verifySecondFactor(user, credentials);
+      if (!isValid) {
+        await loginThrottleService.recordFailure(user.email, context.ip);
+        throw new Error(ERROR_MESSAGES.TWO_FACTOR.INVALID_CODE);
+      }
+
+      await user.populate('tenant_id', 'slug name subscription_plan is_active');
+      if (!user.tenant_id || !user.tenant_id.is_active) {
+        throw new Error(ERROR_MESSAGES.TENANT.INVALID_TENANT);
+      }
+
+      return await this.completeLogin(user, context);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a successful login: record it and issue tokens
+   * @param {Object} user - Authenticated user with populated tenant
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - Authentication result
+   */
+  async completeLogin(user, context = {}) {
+    try {
+      await loginThrottleService.recordSuccess(user.email);
+
       // Update last login
-      // user.last_login = new Date();
-      // await user.save();
       await User.findOneAndUpdate(
         { _id: user._id },
         { last_login: new Date() },
         { new: true }
       );
-      console.log('Last login updated');
-
-      // Generate JWT token
-      const tokenPayload = {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        tenant_id: user.tenant_id._id,
-        tenant_slug: user.tenant_id.slug
-      };
 
-      console.log("Token payload:", tokenPayload);
-      const token = generateToken(tokenPayload);
-      console.log('Token generated', token);
+      // Issue short-lived access token plus rotating refresh token
+      const tokens = await tokenService.issueTokens(user, context);
 
       // Prepare response (exclude sensitive data)
-      const userResponse = {
-        id: user._id,
-        email: user.email,
-        role: user.role,
-        tenant: {
-          id: user.tenant_id._id,
-          slug: user.tenant_id.slug,
-          name: user.tenant_id.name,
-          subscription_plan: user.tenant_id.subscription_plan
-        },
-        last_login: user.last_login
-      };
+      const userResponse = this.formatUser(user);
 
-      console.log('User response prepared', userResponse);
       return {
         success: true,
         message: SUCCESS_MESSAGES.AUTH.LOGIN_SUCCESS,
         data: {
           user: userResponse,
-          token,
-          expires_in: '24h'
+          ...this.formatTokens(tokens)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * @param {string} refreshToken - Refresh token issued at login
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - Refresh result
+   */
+  async refreshTokens(refreshToken, context = {}) {
+    try {
+      const { user, tokens } = await tokenService.rotateRefreshToken(refreshToken, context);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.TOKEN_REFRESHED,
+        data: {
+          user: this.formatUser(user),
+          ...this.formatTokens(tokens)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Log out the current session
+   * Denylists the presented access token and revokes its session
+   * @param {Object} auth - Current token details from auth middleware
+   * @param {string} refreshToken - Refresh token for the session (optional)
+   * @returns {Promise<Object>} - Logout result
+   */
+  async logout(auth, refreshToken = null) {
+    try {
+      await Promise.all([
+        tokenService.revokeAccessToken(auth, 'logout'),
+        tokenService.revokeSession(auth.session_id, 'logout')
+      ]);
+
+      if (refreshToken) {
+        await tokenService.revokeRefreshToken(refreshToken, 'logout');
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.LOGOUT_SUCCESS
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Log out every session of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - Logout result
+   */
+  async logoutAll(userId) {
+    try {
+      await tokenService.revokeAllUserTokens(userId, 'logout_all');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.LOGOUT_ALL_SUCCESS
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List the active sessions (devices) of a user
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID for isolation
+   * @param {string} currentSessionId - Session of the current request
+   * @returns {Promise<Object>} - Active sessions
+   */
+  async getSessions(userId, tenantId, currentSessionId = null) {
+    try {
+      const sessions = await Session.findActiveByUser(userId, tenantId);
+
+      return {
+        success: true,
+        data: {
+          sessions: sessions.map(session => ({
+            id: session._id,
+            device: session.device,
+            user_agent: session.user_agent,
+            ip_address: session.ip_address,
+            created_at: session.created_at,
+            last_seen_at: session.last_seen_at,
+            expires_at: session.expires_at,
+            current: session._id.toString() === currentSessionId
+          })),
+          total_count: sessions.length
         }
       };
+    } catch (error) {
+      throw error;
+    }
+  }
 
+  /**
+   * Revoke one of the user's own sessions
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID for isolation
+   * @returns {Promise<Object>} - Revocation result
+   */
+  async revokeSession(sessionId, userId, tenantId) {
+    try {
+      const session = await Session.findOne({
+        _id: sessionId,
+        user_id: userId,
+        tenant_id: tenantId,
+        revoked_at: null
+      });
+
+      if (!session) {
+        throw new Error(ERROR_MESSAGES.AUTH.SESSION_NOT_FOUND);
+      }
+
+      await tokenService.revokeSession(session._id, 'user_revoked');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.SESSION_REVOKED
+      };
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Start the password reset flow
+   * Always reports success so callers cannot probe which emails exist; repeated requests
+   * within the cooldown do not send another email
+   * @param {string} email - Account email
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - Generic result
+   */
+  async requestPasswordReset(email, context = {}) {
+    try {
+      const user = await User.findOne({
+        email: email.toLowerCase(),
+        is_active: true
+      });
+
+      // At most one email per account and cooldown window, so the endpoint cannot flood an inbox
+      const cooldownStart = new Date(Date.now() - AUTH_TOKENS.PASSWORD_RESET_COOLDOWN_MINUTES * 60 * 1000);
+      const recentlyRequested = user && await PasswordResetToken.exists({
+        user_id: user._id,
+        used_at: null,
+        created_at: { $gt: cooldownStart }
+      });
+
+      if (user && !recentlyRequested) {
+        // Only the most recent link stays valid
+        await PasswordResetToken.deleteMany({ user_id: user._id, used_at: null });
+
+        const token = generateSecureToken(32);
+        const ttlMinutes = AUTH_TOKENS.PASSWORD_RESET_TTL_MINUTES;
+
+        await PasswordResetToken.create({
+          tenant_id: user.tenant_id,
+          user_id: user._id,
+          token_hash: hashToken(token),
+          requested_ip: context.ip,
+          expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000)
+        });
+
+        // Sent in the background: a failing or slow transport must not give existing accounts
+        // a different response than unknown emails
+        mailService.sendPasswordReset(user.email, token, ttlMinutes)
+          .catch(error => console.error('Password reset mail error:', error));
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.PASSWORD_RESET_REQUESTED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Complete the password reset flow with a single-use token
+   * @param {string} token - Plain reset token from the email
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} - Reset result
+   */
+  async resetPassword(token, newPassword) {
+    try {
+      const tokenHash = hashToken(token);
+      const resetToken = await PasswordResetToken.findOne({
+        token_hash: tokenHash,
+        used_at: null,
+        expires_at: { $gt: new Date() }
+      });
+
+      if (!resetToken) {
+        throw new Error(ERROR_MESSAGES.AUTH.RESET_TOKEN_INVALID);
+      }
+
+      const user = await passwordService.findUserForPasswordChange({
+        _id: resetToken.user_id,
+        tenant_id: resetToken.tenant_id
+      });
+
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.AUTH.RESET_TOKEN_INVALID);
+      }
+
+      // Validate before consuming so a rejected password does not burn the link
+      const policy = await passwordService.assertAcceptable(user, newPassword);
+
+      // Atomically consume the token so it can only be used once
+      const consumed = await PasswordResetToken.findOneAndUpdate(
+        { _id: resetToken._id, used_at: null },
+        { used_at: new Date() }
+      );
+
+      if (!consumed) {
+        throw new Error(ERROR_MESSAGES.AUTH.RESET_TOKEN_INVALID);
+      }
+
+      await passwordService.applyPassword(user, newPassword, policy);
+
+      // A reset invalidates every existing session and outstanding reset link
+      await Promise.all([
+        tokenService.revokeAllUserTokens(user._id, 'logout_all'),
+        PasswordResetToken.deleteMany({ user_id: user._id, used_at: null })
+      ]);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.PASSWORD_RESET
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Format a user document for auth responses
+   * @param {Object} user - User document with populated tenant
+   * @returns {Object} - Public user data
+   */
+  formatUser(user) {
+    return {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      tenant: {
+        id: user.tenant_id._id,
+        slug: user.tenant_id.slug,
+        name: user.tenant_id.name,
+        subscription_plan: user.tenant_id.subscription_plan
+      },
+      last_login: user.last_login
+    };
+  }
+
+  /**
+   * Format issued tokens for auth responses
+   * @param {Object} tokens - Result of tokenService.issueTokens
+   * @returns {Object} - Public token data
+   */
+  formatTokens(tokens) {
+    return {
+      token: tokens.token,
+      expires_in: tokens.expires_in,
+      refresh_token: tokens.refresh_token,
+      refresh_token_expires_at: tokens.refresh_token_expires_at
+    };
+  }
+
   /**
    * Get user profile by ID
    * @param {string} userId - User ID
@@ -122,6 +452,7 @@ class AuthService {
           name: user.tenant_id.name,
           subscription_plan: user.tenant_id.subscription_plan
         },
+        two_factor_enabled: !!(user.two_factor && user.two_factor.enabled),
         created_at: user.created_at,
         last_login: user.last_login
       };
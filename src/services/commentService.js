@@ -0,0 +1,247 @@
+const { Comment, Notification } = require('../models');
+const notesService = require('./notesService');
+const notificationService = require('./notificationService');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, ROLES } = require('../utils/constants');
+
+class CommentService {
+  /**
+   * Format a comment for responses (deleted comments keep their place but lose their content)
+   * @param {Object} comment - Comment document with author_id populated
+   * @returns {Object} - Comment data
+   */
+  formatComment(comment) {
+    return {
+      id: comment._id,
+      note_id: comment.note_id,
+      parent_id: comment.parent_id,
+      author: comment.author_id && comment.author_id.email
+        ? { id: comment.author_id._id, email: comment.author_id.email }
+        : null,
+      content: comment.is_deleted ? null : comment.content,
+      is_edited: Boolean(comment.edited_at),
+      edited_at: comment.edited_at,
+      is_deleted: comment.is_deleted,
+      created_at: comment.created_at,
+      updated_at: comment.updated_at
+    };
+  }
+
+  /**
+   * Nest comments under their parents, dropping deleted comments left without replies
+   * @param {Array<Object>} comments - Comment documents sorted oldest first
+   * @returns {Array<Object>} - Top-level threads with nested replies
+   */
+  buildThreads(comments) {
+    const nodes = new Map(comments.map(comment => [
+      comment._id.toString(),
+      { ...this.formatComment(comment), replies: [] }
+    ]));
+    const threads = [];
+
+    for (const node of nodes.values()) {
+      const parent = node.parent_id && nodes.get(node.parent_id.toString());
+      if (parent) {
+        parent.replies.push(node);
+      } else {
+        threads.push(node);
+      }
+    }
+
+    const prune = (list) => list.filter(node => {
+      node.replies = prune(node.replies);
+      return !node.is_deleted || node.replies.length > 0;
+    });
+
+    return prune(threads);
+  }
+
+  /**
+   * Find a live comment on a note or throw
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Comment ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Comment document
+   */
+  async findComment(noteId, commentId, tenantId) {
+    const comment = await Comment.findOne({
+      _id: commentId,
+      note_id: noteId,
+      tenant_id: tenantId,
+      is_deleted: false
+    });
+
+    if (!comment) {
+      throw new Error(ERROR_MESSAGES.COMMENT.NOT_FOUND);
+    }
+
+    return comment;
+  }
+
+  /**
+   * Get the comment threads of a note
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @returns {Promise<Object>} - Threaded comments
+   */
+  async getComments(noteId, tenantId, userId = null) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId);
+
+      const comments = await Comment.find({ tenant_id: tenantId, note_id: note._id })
+        .populate('author_id', 'email')
+        .sort({ created_at: 1 });
+
+      return {
+        success: true,
+        data: {
+          note_id: note._id,
+          comments: this.buildThreads(comments),
+          total_count: comments.filter(comment => !comment.is_deleted).length
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Comment on a note, or reply to one of its comments
+   * @param {string} noteId - Note ID
+   * @param {Object} data - Comment data (content, parent_id)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @param {string} authorId - ID of the commenting user
+   * @returns {Promise<Object>} - Created comment
+   */
+  async createComment(noteId, data, tenantId, userId = null, authorId = null) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId);
+
+      if (data.parent_id) {
+        const parent = await Comment.exists({
+          _id: data.parent_id,
+          note_id: note._id,
+          tenant_id: tenantId,
+          is_deleted: false
+        });
+
+        if (!parent) {
+          throw new Error(ERROR_MESSAGES.COMMENT.PARENT_NOT_FOUND);
+        }
+      }
+
+      const comment = await Comment.create({
+        tenant_id: tenantId,
+        note_id: note._id,
+        author_id: authorId || userId,
+        parent_id: data.parent_id || null,
+        content: data.content
+      });
+
+      await notificationService.notifyMentions({
+        tenantId,
+        actorId: comment.author_id,
+        note,
+        comment,
+        text: comment.content
+      });
+
+      await comment.populate('author_id', 'email');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.COMMENT.CREATED,
+        data: this.formatComment(comment)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Edit a comment (author only)
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Comment ID
+   * @param {string} content - New content
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @param {string} editorId - ID of the editing user
+   * @returns {Promise<Object>} - Updated comment
+   */
+  async updateComment(noteId, commentId, content, tenantId, userId = null, editorId = null) {
+    try {
+      const note = await notesService.findAccessibleNote(noteId, tenantId, userId);
+      const comment = await this.findComment(noteId, commentId, tenantId);
+
+      if (comment.author_id.toString() !== (editorId || userId).toString()) {
+        throw new CustomError(ERROR_MESSAGES.COMMENT.NOT_AUTHOR, HTTP_STATUS.FORBIDDEN);
+      }
+
+      if (comment.content !== content) {
+        const previousContent = comment.content;
+        comment.content = content;
+        comment.edited_at = new Date();
+        await comment.save();
+
+        await notificationService.notifyMentions({
+          tenantId,
+          actorId: comment.author_id,
+          note,
+          comment,
+          text: comment.content,
+          previousText: previousContent
+        });
+      }
+
+      await comment.populate('author_id', 'email');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.COMMENT.UPDATED,
+        data: this.formatComment(comment)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a comment (author, or an admin moderating)
+   * Replies stay visible under a placeholder for the deleted comment
+   * @param {string} noteId - Note ID
+   * @param {string} commentId - Comment ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @param {Object} requester - Requesting user context (id, role)
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteComment(noteId, commentId, tenantId, userId, requester) {
+    try {
+      await notesService.findAccessibleNote(noteId, tenantId, userId);
+      const comment = await this.findComment(noteId, commentId, tenantId);
+
+      if (comment.author_id.toString() !== requester.id && requester.role !== ROLES.ADMIN) {
+        throw new CustomError(ERROR_MESSAGES.COMMENT.DELETE_DENIED, HTTP_STATUS.FORBIDDEN);
+      }
+
+      comment.is_deleted = true;
+      comment.deleted_at = new Date();
+      comment.deleted_by = requester.id;
+      await comment.save();
+
+      // Mention previews would otherwise keep showing the deleted text
+      await Notification.deleteMany({ comment_id: comment._id });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.COMMENT.DELETED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new CommentService();
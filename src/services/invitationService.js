@@ -0,0 +1,251 @@
+const { Invitation, User, Tenant } = require('../models');
+const authService = require('./authService');
+const mailService = require('./mailService');
+const passwordService = require('./passwordService');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, AUTH_TOKENS, ROLES } = require('../utils/constants');
+
+class InvitationService {
+  /**
+   * Format an invitation for responses (never includes the token)
+   * @param {Object} invitation - Invitation document
+   * @returns {Object} - Public invitation data
+   */
+  formatInvitation(invitation) {
+    return {
+      id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      status: invitation.status,
+      invited_by: invitation.invited_by && invitation.invited_by.email
+        ? { id: invitation.invited_by._id, email: invitation.invited_by.email }
+        : invitation.invited_by,
+      expires_at: invitation.expires_at,
+      accepted_at: invitation.accepted_at,
+      revoked_at: invitation.revoked_at,
+      created_at: invitation.created_at
+    };
+  }
+
+  /**
+   * Invite an email address to join the tenant (Admin only)
+   * Re-inviting an email replaces its pending invitation
+   * @param {string} tenantId - Tenant ID
+   * @param {string} invitedById - ID of admin sending the invitation
+   * @param {string} email - Invitee email
+   * @param {string} role - Role granted on acceptance
+   * @returns {Promise<Object>} - Created invitation
+   */
+  async createInvitation(tenantId, invitedById, email, role = ROLES.MEMBER) {
+    try {
+      const normalizedEmail = email.toLowerCase();
+
+      // Emails are unique across all tenants
+      const existingUser = await User.exists({ email: normalizedEmail });
+      if (existingUser) {
+        throw new CustomError(ERROR_MESSAGES.INVITATION.USER_EXISTS, HTTP_STATUS.CONFLICT);
+      }
+
+      const [tenant, inviter] = await Promise.all([
+        Tenant.findById(tenantId),
+        User.findOne({ _id: invitedById, tenant_id: tenantId })
+      ]);
+
+      if (!tenant) {
+        throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
+      }
+
+      await Invitation.updateMany(
+        Invitation.pendingFilter({ tenant_id: tenantId, email: normalizedEmail }),
+        { revoked_at: new Date() }
+      );
+
+      const token = generateSecureToken(32);
+      const expiresInDays = AUTH_TOKENS.INVITATION_TTL_DAYS;
+
+      const invitation = await Invitation.create({
+        tenant_id: tenantId,
+        email: normalizedEmail,
+        role,
+        token_hash: hashToken(token),
+        invited_by: invitedById,
+        expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      });
+
+      await mailService.sendInvitation(normalizedEmail, token, {
+        tenantName: tenant.name,
+        inviterEmail: inviter ? inviter.email : 'An administrator',
+        role,
+        expiresInDays
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.INVITATION.SENT,
+        data: this.formatInvitation(invitation)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List invitations for a tenant (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - Query options (status: pending | all)
+   * @returns {Promise<Object>} - Invitations
+   */
+  async listInvitations(tenantId, options = {}) {
+    try {
+      const { status = 'pending' } = options;
+
+      const filter = status === 'pending'
+        ? Invitation.pendingFilter({ tenant_id: tenantId })
+        : { tenant_id: tenantId };
+
+      const invitations = await Invitation.find(filter)
+        .populate('invited_by', 'email')
+        .sort({ created_at: -1 });
+
+      return {
+        success: true,
+        data: {
+          invitations: invitations.map(invitation => this.formatInvitation(invitation)),
+          total_count: invitations.length
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a pending invitation (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<Object>} - Revocation result
+   */
+  async revokeInvitation(tenantId, invitationId) {
+    try {
+      const invitation = await Invitation.findOneAndUpdate(
+        Invitation.pendingFilter({ _id: invitationId, tenant_id: tenantId }),
+        { revoked_at: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        throw new Error(ERROR_MESSAGES.INVITATION.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.INVITATION.REVOKED,
+        data: this.formatInvitation(invitation)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a pending invitation by its token (for the accept screen)
+   * @param {string} token - Plain invitation token
+   * @returns {Promise<Object>} - Invitation details
+   */
+  async getInvitationByToken(token) {
+    try {
+      const invitation = await Invitation.findOne(
+        Invitation.pendingFilter({ token_hash: hashToken(token) })
+      ).populate('tenant_id', 'slug name');
+
+      if (!invitation || !invitation.tenant_id) {
+        throw new Error(ERROR_MESSAGES.INVITATION.INVALID);
+      }
+
+      return {
+        success: true,
+        data: {
+          email: invitation.email,
+          role: invitation.role,
+          tenant: {
+            slug: invitation.tenant_id.slug,
+            name: invitation.tenant_id.name
+          },
+          expires_at: invitation.expires_at
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Accept an invitation: create the account and sign the new user in
+   * @param {string} token - Plain invitation token
+   * @param {string} password - Password chosen by the invitee
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - Authentication result for the new user
+   */
+  async acceptInvitation(token, password, context = {}) {
+    try {
+      const invitation = await Invitation.findOne(
+        Invitation.pendingFilter({ token_hash: hashToken(token) })
+      );
+
+      if (!invitation) {
+        throw new Error(ERROR_MESSAGES.INVITATION.INVALID);
+      }
+
+      const tenant = await Tenant.findById(invitation.tenant_id);
+      if (!tenant || !tenant.is_active) {
+        throw new Error(ERROR_MESSAGES.INVITATION.INVALID);
+      }
+
+      if (await User.exists({ email: invitation.email })) {
+        throw new CustomError(ERROR_MESSAGES.INVITATION.USER_EXISTS, HTTP_STATUS.CONFLICT);
+      }
+
+      await passwordService.assertMeetsPolicy(tenant._id, password, invitation.email);
+
+      // Claim the invitation atomically so it can only be accepted once
+      const claimed = await Invitation.findOneAndUpdate(
+        Invitation.pendingFilter({ _id: invitation._id }),
+        { accepted_at: new Date() },
+        { new: true }
+      );
+
+      if (!claimed) {
+        throw new Error(ERROR_MESSAGES.INVITATION.INVALID);
+      }
+
+      let user;
+      try {
+        // Plain password is hashed by the User pre-save hook
+        user = await User.create({
+          tenant_id: tenant._id,
+          email: invitation.email,
+          password_hash: password,
+          role: invitation.role
+        });
+      } catch (error) {
+        await Invitation.updateOne({ _id: invitation._id }, { accepted_at: null });
+        throw error;
+      }
+
+      await Invitation.updateOne({ _id: invitation._id }, { accepted_user_id: user._id });
+
+      await user.populate('tenant_id', 'slug name subscription_plan is_active');
+      const result = await authService.completeLogin(user, context);
+
+      return {
+        ...result,
+        message: SUCCESS_MESSAGES.INVITATION.ACCEPTED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new InvitationService();
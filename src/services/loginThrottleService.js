@@ -0,0 +1,248 @@
+const { LoginThrottle } = require('../models');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, LOGIN_PROTECTION } = require('../utils/constants');
+
+const WINDOW_MS = LOGIN_PROTECTION.FAILURE_WINDOW_MINUTES * 60 * 1000;
+const LOCK_MS = LOGIN_PROTECTION.LOCK_DURATION_MINUTES * 60 * 1000;
+
+// Limits and error details per throttle scope
+const SCOPES = {
+  account: {
+    limits: LOGIN_PROTECTION.ACCOUNT,
+    messages: { locked: ERROR_MESSAGES.AUTH.ACCOUNT_LOCKED, throttled: ERROR_MESSAGES.AUTH.LOGIN_THROTTLED },
+    codes: { locked: 'LOGIN_LOCKED', throttled: 'LOGIN_THROTTLED' }
+  },
+  ip: {
+    limits: LOGIN_PROTECTION.IP,
+    messages: { locked: ERROR_MESSAGES.AUTH.ACCOUNT_LOCKED, throttled: ERROR_MESSAGES.AUTH.LOGIN_THROTTLED },
+    codes: { locked: 'LOGIN_LOCKED', throttled: 'LOGIN_THROTTLED' }
+  },
+  share_link: {
+    limits: LOGIN_PROTECTION.SHARE_LINK,
+    messages: { locked: ERROR_MESSAGES.SHARE_LINK.PASSWORD_LOCKED, throttled: ERROR_MESSAGES.SHARE_LINK.PASSWORD_THROTTLED },
+    codes: { locked: 'SHARE_LINK_LOCKED', throttled: 'SHARE_LINK_THROTTLED' }
+  }
+};
+
+class LoginThrottleService {
+  /**
+   * Get the delay required after a number of failures
+   * @param {number} failureCount - Consecutive failures
+   * @param {Object} limits - Scope limits (DELAY_AFTER, LOCK_AFTER)
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelayMs(failureCount, limits) {
+    if (failureCount < limits.DELAY_AFTER) {
+      return 0;
+    }
+
+    const exponent = failureCount - limits.DELAY_AFTER;
+    const seconds = Math.min(
+      LOGIN_PROTECTION.BASE_DELAY_SECONDS * 2 ** exponent,
+      LOGIN_PROTECTION.MAX_DELAY_SECONDS
+    );
+    return seconds * 1000;
+  }
+
+  /**
+   * Build the error returned while a key is throttled or locked
+   * @param {boolean} locked - Whether the key is locked (vs delayed)
+   * @param {number} retryAfterMs - Time until the next attempt is allowed
+   * @param {string} scope - Throttle scope of the key
+   * @returns {CustomError} - Error with retryAfter (seconds) and code
+   */
+  buildThrottleError(locked, retryAfterMs, scope = 'account') {
+    const { messages, codes } = SCOPES[scope];
+    const error = locked
+      ? new CustomError(messages.locked, HTTP_STATUS.LOCKED)
+      : new CustomError(messages.throttled, HTTP_STATUS.TOO_MANY_REQUESTS);
+    error.code = locked ? codes.locked : codes.throttled;
+    error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    return error;
+  }
+
+  /**
+   * Throw if any of the throttle keys must wait or is locked
+   * @param {Array<string>} keys - Throttle keys
+   */
+  async assertKeysCanAttempt(keys) {
+    const now = Date.now();
+    const records = await LoginThrottle.find({
+      key: { $in: keys },
+      expires_at: { $gt: new Date(now) }
+    });
+
+    for (const record of records) {
+      if (record.locked_until && record.locked_until.getTime() > now) {
+        throw this.buildThrottleError(true, record.locked_until.getTime() - now, record.scope);
+      }
+
+      const delayMs = this.getDelayMs(record.failure_count, SCOPES[record.scope].limits);
+      const nextAttemptAt = record.last_failure_at
+        ? record.last_failure_at.getTime() + delayMs
+        : 0;
+
+      if (delayMs > 0 && nextAttemptAt > now) {
+        throw this.buildThrottleError(false, nextAttemptAt - now, record.scope);
+      }
+    }
+  }
+
+  /**
+   * Throw if a login attempt for this email/IP must wait or is locked
+   * Keys are tracked whether or not the account exists, so responses never reveal that
+   * @param {string} email - Submitted email
+   * @param {string} ip - Client IP
+   */
+  async assertCanAttempt(email, ip) {
+    try {
+      await this.assertKeysCanAttempt([LoginThrottle.accountKey(email), LoginThrottle.ipKey(ip)]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed attempt for one throttle key
+   * @param {string} key - Throttle key
+   * @param {string} scope - 'account', 'ip' or 'share_link'
+   */
+  async recordKeyFailure(key, scope) {
+    try {
+      const now = new Date();
+      const { limits } = SCOPES[scope];
+
+      // Start a fresh window when the previous one has lapsed
+      await LoginThrottle.deleteOne({ key, expires_at: { $lte: now } });
+
+      const record = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failure_count: 1 },
+          $set: { scope, last_failure_at: now, expires_at: new Date(now.getTime() + WINDOW_MS) }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      if (record.failure_count >= limits.LOCK_AFTER) {
+        const lockedUntil = new Date(now.getTime() + LOCK_MS);
+        await LoginThrottle.updateOne(
+          { _id: record._id },
+          {
+            locked_until: lockedUntil,
+            failure_count: 0,
+            expires_at: new Date(lockedUntil.getTime() + WINDOW_MS)
+          }
+        );
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed login for both the account and the client IP
+   * @param {string} email - Submitted email
+   * @param {string} ip - Client IP
+   */
+  async recordFailure(email, ip) {
+    try {
+      await Promise.all([
+        this.recordKeyFailure(LoginThrottle.accountKey(email), 'account'),
+        this.recordKeyFailure(LoginThrottle.ipKey(ip), 'ip')
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Clear account failures after a successful login
+   * IP failures are kept so one valid account cannot reset an attacker's IP budget
+   * @param {string} email - Account email
+   */
+  async recordSuccess(email) {
+    try {
+      await LoginThrottle.deleteOne({ key: LoginThrottle.accountKey(email) });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Throw if password attempts on a share link must wait or the link is locked
+   * Keyed per link rather than per client, so spreading guesses over many IPs does not help
+   * @param {string} linkId - Share link ID
+   */
+  async assertCanAttemptShareLink(linkId) {
+    try {
+      await this.assertKeysCanAttempt([LoginThrottle.shareLinkKey(linkId)]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record a wrong password for a share link
+   * @param {string} linkId - Share link ID
+   */
+  async recordShareLinkFailure(linkId) {
+    try {
+      await this.recordKeyFailure(LoginThrottle.shareLinkKey(linkId), 'share_link');
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Clear a share link's failures after the correct password is given
+   * @param {string} linkId - Share link ID
+   */
+  async recordShareLinkSuccess(linkId) {
+    try {
+      await LoginThrottle.deleteOne({ key: LoginThrottle.shareLinkKey(linkId) });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove any delay or lockout on an account
+   * @param {string} email - Account email
+   * @returns {Promise<boolean>} - Whether the account had throttle state
+   */
+  async unlockAccount(email) {
+    try {
+      const result = await LoginThrottle.deleteOne({ key: LoginThrottle.accountKey(email) });
+      return result.deletedCount > 0;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get the lock status of an account
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} - Lock status
+   */
+  async getAccountStatus(email) {
+    try {
+      const record = await LoginThrottle.findOne({
+        key: LoginThrottle.accountKey(email),
+        expires_at: { $gt: new Date() }
+      });
+
+      const locked = !!(record && record.locked_until && record.locked_until > new Date());
+
+      return {
+        locked,
+        locked_until: locked ? record.locked_until : null,
+        failure_count: record ? record.failure_count : 0
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new LoginThrottleService();
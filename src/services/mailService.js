@@ -0,0 +1,127 @@
+const path = require('path');
+const { createFileTransport, createConsoleTransport } = require('./mailTransports');
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'NotesFlow <no-reply@notesflow.local>';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+class MailService {
+  constructor() {
+    // Transport factories by name; register more (e.g. SMTP, SES) with registerTransport
+    this.factories = {
+      file: () => createFileTransport({
+        directory: process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox')
+      }),
+      console: () => createConsoleTransport()
+    };
+    this.transport = null;
+  }
+
+  /**
+   * Register a transport factory
+   * @param {string} name - Transport name (matches MAIL_TRANSPORT)
+   * @param {Function} factory - Returns an object with an async send(message) method
+   */
+  registerTransport(name, factory) {
+    this.factories[name] = factory;
+    this.transport = null;
+  }
+
+  /**
+   * Replace the active transport (useful in tests)
+   * @param {Object} transport - Object with an async send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Resolve the active transport from MAIL_TRANSPORT
+   * @returns {Object} - Mail transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || 'file';
+      const factory = this.factories[name];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - Message (to, subject, text, html)
+   * @returns {Promise<Object>} - Transport result
+   */
+  async send(message) {
+    try {
+      return await this.getTransport().send({
+        from: DEFAULT_FROM,
+        ...message
+      });
+    } catch (error) {
+      throw new Error('Error sending email: ' + error.message);
+    }
+  }
+
+  /**
+   * Build a link into the frontend application
+   * @param {string} pathname - Frontend path
+   * @param {Object} params - Query parameters
+   * @returns {string} - Absolute URL
+   */
+  buildFrontendUrl(pathname, params = {}) {
+    const url = new URL(pathname, FRONTEND_URL);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  /**
+   * Send a password reset email
+   * @param {string} email - Recipient
+   * @param {string} token - Plain reset token
+   * @param {number} expiresInMinutes - Token lifetime
+   */
+  async sendPasswordReset(email, token, expiresInMinutes) {
+    const resetUrl = this.buildFrontendUrl('/reset-password', { token });
+
+    return this.send({
+      to: email,
+      subject: 'Reset your NotesFlow password',
+      text: [
+        'We received a request to reset your password.',
+        '',
+        `Reset it here: ${resetUrl}`,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Send an invitation to join a tenant
+   * @param {string} email - Recipient
+   * @param {string} token - Plain invitation token
+   * @param {Object} details - Tenant name, inviter email, role and lifetime in days
+   */
+  async sendInvitation(email, token, { tenantName, inviterEmail, role, expiresInDays }) {
+    const acceptUrl = this.buildFrontendUrl('/accept-invitation', { token });
+
+    return this.send({
+      to: email,
+      subject: `You've been invited to ${tenantName} on NotesFlow`,
+      text: [
+        `${inviterEmail} invited you to join ${tenantName} on NotesFlow as ${role === 'admin' ? 'an admin' : 'a member'}.`,
+        '',
+        `Accept the invitation and set your password here: ${acceptUrl}`,
+        '',
+        `This invitation expires in ${expiresInDays} days.`
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,50 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File transport - writes each message as a JSON file to an outbox directory
+ * Intended for local development and tests
+ * @param {Object} options - Transport options
+ * @param {string} options.directory - Outbox directory
+ * @returns {Object} - Mail transport
+ */
+const createFileTransport = ({ directory }) => {
+  return {
+    name: 'file',
+    async send(message) {
+      await fs.mkdir(directory, { recursive: true });
+
+      const id = `${Date.now()}-${crypto.randomUUID()}`;
+      const filePath = path.join(directory, `${id}.json`);
+
+      await fs.writeFile(filePath, JSON.stringify({
+        id,
+        ...message,
+        sent_at: new Date().toISOString()
+      }, null, 2));
+
+      return { id, path: filePath };
+    }
+  };
+};
+
+/**
+ * Console transport - logs messages instead of delivering them
+ * @returns {Object} - Mail transport
+ */
+const createConsoleTransport = () => {
+  return {
+    name: 'console',
+    async send(message) {
+      const id = crypto.randomUUID();
+      console.log('📧 Mail:', { id, ...message });
+      return { id };
+    }
+  };
+};
+
+module.exports = {
+  createFileTransport,
+  createConsoleTransport
+};
@@ -0,0 +1,416 @@
+const { Notebook, Note } = require('../models');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, NOTEBOOKS } = require('../utils/constants');
+
+class NotebookService {
+  /**
+   * Format a notebook for responses
+   * @param {Object} notebook - Notebook document
+   * @param {number} noteCount - Number of notes directly in the notebook
+   * @returns {Object} - Notebook data
+   */
+  formatNotebook(notebook, noteCount = undefined) {
+    return {
+      id: notebook._id,
+      name: notebook.name,
+      description: notebook.description,
+      parent_id: notebook.parent_id,
+      ancestors: notebook.ancestors,
+      depth: notebook.ancestors.length + 1,
+      owner: notebook.user_id && notebook.user_id.email
+        ? { id: notebook.user_id._id, email: notebook.user_id.email }
+        : notebook.user_id,
+      ...(noteCount !== undefined && { note_count: noteCount }),
+      created_at: notebook.created_at,
+      updated_at: notebook.updated_at
+    };
+  }
+
+  /**
+   * Build the base query for notebooks a user may access
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Object} - Mongo filter
+   */
+  accessFilter(tenantId, userId = null) {
+    const filter = { tenant_id: tenantId };
+
+    // If userId is provided (member role), restrict to user's notebooks
+    if (userId) {
+      filter.user_id = userId;
+    }
+
+    return filter;
+  }
+
+  /**
+   * Find a notebook the user may access or throw
+   * @param {string} notebookId - Notebook ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} message - Error message when missing
+   * @returns {Promise<Object>} - Notebook document
+   */
+  async findAccessibleNotebook(notebookId, tenantId, userId = null, message = ERROR_MESSAGES.NOTEBOOK.NOT_FOUND) {
+    const notebook = await Notebook.findOne({ _id: notebookId, ...this.accessFilter(tenantId, userId) });
+    if (!notebook) {
+      throw new Error(message);
+    }
+    return notebook;
+  }
+
+  /**
+   * Translate a duplicate-name index violation into a 409
+   * @param {Error} error - Error from a write
+   * @returns {Error} - Error to throw
+   */
+  mapWriteError(error) {
+    if (error.code === 11000) {
+      return new CustomError(ERROR_MESSAGES.NOTEBOOK.NAME_TAKEN, HTTP_STATUS.CONFLICT);
+    }
+    return error;
+  }
+
+  /**
+   * Resolve the ancestors path for a notebook placed under a parent
+   * @param {string|null} parentId - Parent notebook ID (null for root)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Array>} - Ancestor IDs, root first
+   */
+  async resolveAncestors(parentId, tenantId, userId = null) {
+    if (!parentId) {
+      return [];
+    }
+
+    const parent = await this.findAccessibleNotebook(
+      parentId, tenantId, userId, ERROR_MESSAGES.NOTEBOOK.PARENT_NOT_FOUND
+    );
+    return [...parent.ancestors, parent._id];
+  }
+
+  /**
+   * List notebooks with direct note counts
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - Query options (user_id, parent_id, tree)
+   * @returns {Promise<Object>} - Notebooks as a flat list or a nested tree
+   */
+  async getNotebooks(tenantId, options = {}) {
+    try {
+      const { user_id = null, parent_id, tree = false } = options;
+      const filter = this.accessFilter(tenantId, user_id);
+
+      // parent_id: 'root' lists top-level notebooks; omit to list all
+      if (parent_id !== undefined && !tree) {
+        filter.parent_id = parent_id === 'root' ? null : parent_id;
+      }
+
+      const notebooks = await Notebook.find(filter)
+        .populate('user_id', 'email')
+        .sort({ name: 1 });
+
+      const counts = await Note.aggregate([
+        {
+          $match: {
+            notebook_id: { $in: notebooks.map(notebook => notebook._id) },
+            is_deleted: false
+          }
+        },
+        { $group: { _id: '$notebook_id', count: { $sum: 1 } } }
+      ]);
+      const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+      const formatted = notebooks.map(notebook =>
+        this.formatNotebook(notebook, countById.get(notebook._id.toString()) || 0)
+      );
+
+      return {
+        success: true,
+        data: {
+          notebooks: tree ? this.buildTree(formatted) : formatted,
+          total_count: formatted.length
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Nest formatted notebooks under their parents
+   * Notebooks whose parent is not visible become roots
+   * @param {Array<Object>} notebooks - Formatted notebooks
+   * @returns {Array<Object>} - Root notebooks with `children`
+   */
+  buildTree(notebooks) {
+    const byId = new Map(notebooks.map(notebook => [notebook.id.toString(), { ...notebook, children: [] }]));
+    const roots = [];
+
+    byId.forEach(notebook => {
+      const parent = notebook.parent_id && byId.get(notebook.parent_id.toString());
+      if (parent) {
+        parent.children.push(notebook);
+      } else {
+        roots.push(notebook);
+      }
+    });
+
+    return roots;
+  }
+
+  /**
+   * Get a notebook with its direct children
+   * @param {string} notebookId - Notebook ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Notebook data
+   */
+  async getNotebookById(notebookId, tenantId, userId = null) {
+    try {
+      const notebook = await this.findAccessibleNotebook(notebookId, tenantId, userId);
+      await notebook.populate('user_id', 'email');
+
+      const [children, noteCount] = await Promise.all([
+        Notebook.find({ ...this.accessFilter(tenantId, userId), parent_id: notebook._id }).sort({ name: 1 }),
+        Note.countDocuments({ tenant_id: tenantId, notebook_id: notebook._id, is_deleted: false })
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ...this.formatNotebook(notebook, noteCount),
+          children: children.map(child => this.formatNotebook(child))
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Create a notebook
+   * @param {Object} notebookData - Notebook data (name, description, parent_id)
+   * @param {string} userId - Owner user ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} scopeUserId - User ID (optional, for member role) used to check the parent
+   * @returns {Promise<Object>} - Created notebook
+   */
+  async createNotebook(notebookData, userId, tenantId, scopeUserId = null) {
+    try {
+      const { name, description, parent_id: parentId = null } = notebookData;
+
+      const ancestors = await this.resolveAncestors(parentId, tenantId, scopeUserId);
+      if (ancestors.length + 1 > NOTEBOOKS.MAX_DEPTH) {
+        throw new Error(ERROR_MESSAGES.NOTEBOOK.MAX_DEPTH);
+      }
+
+      let notebook;
+      try {
+        notebook = await Notebook.create({
+          tenant_id: tenantId,
+          user_id: userId,
+          name,
+          description,
+          parent_id: parentId,
+          ancestors
+        });
+      } catch (error) {
+        throw this.mapWriteError(error);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTEBOOK.CREATED,
+        data: this.formatNotebook(notebook, 0)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, describe or move a notebook (moving carries its whole subtree)
+   * @param {string} notebookId - Notebook ID
+   * @param {Object} updateData - Update data (name, description, parent_id)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Updated notebook
+   */
+  async updateNotebook(notebookId, updateData, tenantId, userId = null) {
+    try {
+      const notebook = await this.findAccessibleNotebook(notebookId, tenantId, userId);
+
+      if (updateData.name !== undefined) {
+        notebook.name = updateData.name;
+      }
+      if (updateData.description !== undefined) {
+        notebook.description = updateData.description;
+      }
+
+      const isMove = updateData.parent_id !== undefined &&
+        String(updateData.parent_id) !== String(notebook.parent_id);
+
+      let descendants = [];
+      const oldDepth = notebook.ancestors.length;
+
+      if (isMove) {
+        const newParentId = updateData.parent_id || null;
+
+        if (newParentId && newParentId.toString() === notebook._id.toString()) {
+          throw new Error(ERROR_MESSAGES.NOTEBOOK.INVALID_PARENT);
+        }
+
+        const newAncestors = await this.resolveAncestors(newParentId, tenantId, userId);
+        if (newAncestors.some(id => id.toString() === notebook._id.toString())) {
+          throw new Error(ERROR_MESSAGES.NOTEBOOK.INVALID_PARENT);
+        }
+
+        descendants = await Notebook.find({ tenant_id: tenantId, ancestors: notebook._id });
+
+        // The deepest descendant must still fit under the new parent
+        const subtreeHeight = descendants.reduce(
+          (max, descendant) => Math.max(max, descendant.ancestors.length - oldDepth),
+          0
+        );
+        if (newAncestors.length + 1 + subtreeHeight > NOTEBOOKS.MAX_DEPTH) {
+          throw new Error(ERROR_MESSAGES.NOTEBOOK.MAX_DEPTH);
+        }
+
+        notebook.parent_id = newParentId;
+        notebook.ancestors = newAncestors;
+      }
+
+      try {
+        await notebook.save();
+      } catch (error) {
+        throw this.mapWriteError(error);
+      }
+
+      if (descendants.length > 0) {
+        // Re-root each descendant's path below the notebook's new position
+        await Notebook.bulkWrite(descendants.map(descendant => ({
+          updateOne: {
+            filter: { _id: descendant._id },
+            update: {
+              ancestors: [
+                ...notebook.ancestors,
+                notebook._id,
+                ...descendant.ancestors.slice(oldDepth + 1)
+              ]
+            }
+          }
+        })));
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTEBOOK.UPDATED,
+        data: this.formatNotebook(notebook)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a notebook
+   * cascade 'move' (default): notes and sub-notebooks move up to the deleted notebook's parent
+   * cascade 'trash': the whole subtree is deleted and its notes are moved to the trash
+   * @param {string} notebookId - Notebook ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {Object} options - Delete options (cascade, deleted_by)
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteNotebook(notebookId, tenantId, userId = null, options = {}) {
+    try {
+      const { cascade = 'move', deleted_by: deletedBy = userId } = options;
+      const notebook = await this.findAccessibleNotebook(notebookId, tenantId, userId);
+
+      const descendants = await Notebook.find({ tenant_id: tenantId, ancestors: notebook._id });
+      let notesAffected;
+
+      if (cascade === 'trash') {
+        const subtreeIds = [notebook._id, ...descendants.map(descendant => descendant._id)];
+        const now = new Date();
+
+        // Admins can file other users' notebooks and notes anywhere; a member may only trash their own
+        if (userId) {
+          const foreignNote = await Note.exists({
+            tenant_id: tenantId,
+            notebook_id: { $in: subtreeIds },
+            is_deleted: false,
+            user_id: { $ne: userId }
+          });
+          if (foreignNote || descendants.some(descendant => String(descendant.user_id) !== String(userId))) {
+            throw new CustomError(ERROR_MESSAGES.NOTEBOOK.FOREIGN_CONTENT, HTTP_STATUS.FORBIDDEN);
+          }
+        }
+
+        const result = await Note.updateMany(
+          { tenant_id: tenantId, notebook_id: { $in: subtreeIds }, is_deleted: false },
+          { is_deleted: true, deleted_at: now, deleted_by: deletedBy, notebook_id: null, updated_at: now }
+        );
+        // Notes already in the trash must not point at notebooks that no longer exist
+        await Note.updateMany(
+          { tenant_id: tenantId, notebook_id: { $in: subtreeIds } },
+          { notebook_id: null }
+        );
+        await Notebook.deleteMany({ tenant_id: tenantId, _id: { $in: subtreeIds } });
+        notesAffected = result.modifiedCount;
+      } else {
+        const depth = notebook.ancestors.length;
+        const children = descendants.filter(descendant => String(descendant.parent_id) === String(notebook._id));
+
+        // Children move up a level, so their names must not clash with their new siblings
+        if (children.length > 0) {
+          const clash = await Notebook.exists({
+            tenant_id: tenantId,
+            parent_id: notebook.parent_id,
+            _id: { $ne: notebook._id },
+            $or: children.map(child => ({ user_id: child.user_id, name: child.name }))
+          });
+          if (clash) {
+            throw new CustomError(ERROR_MESSAGES.NOTEBOOK.NAME_TAKEN, HTTP_STATUS.CONFLICT);
+          }
+        }
+
+        const result = await Note.updateMany(
+          { tenant_id: tenantId, notebook_id: notebook._id },
+          { notebook_id: notebook.parent_id }
+        );
+
+        // Lift the subtree one level: drop the deleted notebook from every path
+        if (descendants.length > 0) {
+          await Notebook.bulkWrite(descendants.map(descendant => ({
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: {
+                ancestors: descendant.ancestors.filter((id, index) => index !== depth),
+                ...(String(descendant.parent_id) === String(notebook._id) && { parent_id: notebook.parent_id })
+              }
+            }
+          })));
+        }
+
+        await Notebook.deleteOne({ _id: notebook._id });
+        notesAffected = result.modifiedCount;
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTEBOOK.DELETED,
+        data: {
+          id: notebook._id,
+          cascade,
+          notes_affected: notesAffected,
+          notebooks_deleted: cascade === 'trash' ? descendants.length + 1 : 1
+        }
+      };
+    } catch (error) {
+      throw this.mapWriteError(error);
+    }
+  }
+}
+
+module.exports = new NotebookService();
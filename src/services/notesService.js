@@ -1,5 +1,15 @@
-const { Note, Tenant } = require('../models');
-const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, SUBSCRIPTION_PLANS } = require('../utils/constants');
+const { Attachment, Comment, Note, NoteRevision, Notebook, Notification, ShareLink, Tenant, User } = require('../models');
+const notebookService = require('./notebookService');
+const notificationService = require('./notificationService');
+const storageService = require('./storageService');
+const { diffLines, diffTags } = require('../utils/diff');
+const { ifMatchSatisfied } = require('../utils/etag');
+const { escapeRegex, buildHighlightPattern, buildNoteHighlights } = require('../utils/search');
+const { encodeCursor, decodeCursor, buildKeysetFilter } = require('../utils/cursor');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, SUBSCRIPTION_PLANS, NOTE_PERMISSIONS, NOTE_EDITABLE_FIELDS, NOTE_SORTS } = require('../utils/constants');
+
+const TRASH_PURGE_BATCH_SIZE = 500;
 
 class NotesService {
   /**
@@ -7,13 +17,18 @@ class NotesService {
    * @param {Object} noteData - Note data
    * @param {string} userId - User ID
    * @param {string} tenantId - Tenant ID
+   * @param {string} scopeUserId - User ID (optional, for member role) used to check the notebook
    * @returns {Promise<Object>} - Created note
    */
-  async createNote(noteData, userId, tenantId) {
+  async createNote(noteData, userId, tenantId, scopeUserId = null) {
     try {
       // Check subscription limits
       await this.checkNoteLimit(tenantId);
 
+      if (noteData.notebook_id) {
+        await notebookService.findAccessibleNotebook(noteData.notebook_id, tenantId, scopeUserId);
+      }
+
       const note = new Note({
         ...noteData,
         user_id: userId,
@@ -21,6 +36,13 @@ class NotesService {
       });
 
       await note.save();
+      await notificationService.notifyMentions({
+        tenantId,
+        actorId: userId,
+        note,
+        text: note.content
+      });
+
       await note.populate([
         { path: 'user_id', select: 'email role' },
         { path: 'tenant_id', select: 'slug name' }
@@ -38,6 +60,8 @@ class NotesService {
 
   /**
    * Get all notes for a tenant with pagination and search
+   * Searches rank by relevance and include highlights; search_mode 'prefix' matches word prefixes instead.
+   * parsed_query runs a search-language query (see utils/searchQuery), as used by saved searches.
    * @param {string} tenantId - Tenant ID
    * @param {Object} options - Query options
    * @returns {Promise<Object>} - Notes with pagination
@@ -48,61 +72,155 @@ class NotesService {
         page = 1,
         limit = 10,
         search = '',
+        search_mode = 'text',
+        parsed_query = null,
+        sort: sortKey = null,
+        cursor = null,
+        pagination = 'page',
+        include_total,
         user_id = null,
-        archived = false
+        include_shared = false,
+        requester_id = null,
+        archived = false,
+        notebook_id,
+        include_sub_notebooks = false
       } = options;
 
       // Build query
       const query = {
         tenant_id: tenantId,
-        is_deleted: false,
-        is_archived: archived
+        is_deleted: false
       };
+      const conditions = [];
 
-      // Add user filter if specified
-      if (user_id) {
+      // A search-language query decides the archive state itself (is:archived / is:active)
+      if (!parsed_query) {
+        query.is_archived = archived;
+      }
+
+      // Add user filter if specified (include_shared also matches notes shared with the user)
+      if (user_id && include_shared) {
+        conditions.push(this.accessFilter(user_id, NOTE_PERMISSIONS.VIEW));
+      } else if (user_id) {
         query.user_id = user_id;
       }
 
-      // Add search if specified
-      if (search) {
-        query.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { content: { $regex: search, $options: 'i' } },
-          { tags: { $in: [new RegExp(search, 'i')] } }
-        ];
+      // Add notebook filter if specified ('none' lists notes outside any notebook)
+      if (notebook_id === 'none') {
+        query.notebook_id = null;
+      } else if (notebook_id) {
+        query.notebook_id = notebook_id;
+
+        if (include_sub_notebooks) {
+          const descendants = await Notebook.find({ tenant_id: tenantId, ancestors: notebook_id }).select('_id');
+          query.notebook_id = { $in: [notebook_id, ...descendants.map(notebook => notebook._id)] };
+        }
       }
 
-      // Calculate pagination
-      const skip = (page - 1) * limit;
+      // Add search if specified: ranked full-text search by default, or a literal word-prefix match
+      let textSearch = null;
+      if (parsed_query) {
+        const filter = await this.buildSearchConditions(tenantId, parsed_query, requester_id || user_id);
+        conditions.push(...filter.conditions);
+        textSearch = filter.text;
+      } else if (search && search_mode === 'prefix') {
+        const pattern = escapeRegex(search);
+        conditions.push({
+          $or: [
+            { title: { $regex: `(?:^|[^\\p{L}\\p{N}])${pattern}`, $options: 'i' } },
+            { content: { $regex: `(?:^|[^\\p{L}\\p{N}])${pattern}`, $options: 'i' } },
+            { tags: { $regex: `^${pattern}`, $options: 'i' } }
+          ]
+        });
+      } else if (search) {
+        textSearch = search;
+      }
 
-      // Execute query with population
-      const [notes, totalCount] = await Promise.all([
-        Note.find(query)
+      // $search understands "exact phrases" and -negated terms
+      if (textSearch) {
+        query.$text = { $search: textSearch };
+      }
+
+      if (conditions.length > 0) {
+        query.$and = conditions;
+      }
+
+      const projection = textSearch ? { score: { $meta: 'textScore' } } : null;
+      const order = this.resolveSort(sortKey, Boolean(textSearch));
+
+      // Cursor mode pages by position (keyset on the sort field and _id), so edits between requests
+      // neither repeat nor skip notes; page mode keeps skip/limit for existing clients
+      const cursorMode = Boolean(cursor) || pagination === 'cursor';
+      const withTotal = include_total === undefined ? !cursorMode : include_total;
+      const pageQuery = { ...query };
+      let skip = cursorMode ? 0 : (page - 1) * limit;
+
+      if (cursor) {
+        const position = decodeCursor(cursor, order.key);
+        if (order.relevance) {
+          // Text scores cannot be used in a filter, so relevance cursors carry an offset
+          skip = position.offset;
+        } else {
+          pageQuery.$and = [...(query.$and || []), buildKeysetFilter(order.field, order.direction, position)];
+        }
+      }
+
+      // Fetch one extra note to know whether another page follows without counting
+      const [results, totalCount] = await Promise.all([
+        Note.find(pageQuery, projection)
           .populate('user_id', 'email role')
-          .sort({ created_at: -1 })
+          .sort(order.sort)
           .skip(skip)
-          .limit(parseInt(limit)),
-        Note.countDocuments(query)
+          .limit(parseInt(limit) + 1),
+        withTotal ? Note.countDocuments(query) : Promise.resolve(null)
       ]);
 
-      // Calculate pagination metadata
-      const totalPages = Math.ceil(totalCount / limit);
-      const hasNextPage = page < totalPages;
-      const hasPrevPage = page > 1;
+      const hasNextPage = results.length > limit;
+      const notes = hasNextPage ? results.slice(0, limit) : results;
+
+      const searching = Boolean(search || parsed_query);
+      const highlightPattern = parsed_query
+        ? buildHighlightPattern(parsed_query.text)
+        : search ? buildHighlightPattern(search, search_mode) : null;
+
+      let paginationData;
+      if (cursorMode) {
+        const last = notes[notes.length - 1];
+        paginationData = {
+          mode: 'cursor',
+          per_page: parseInt(limit),
+          sort: order.key,
+          has_next_page: hasNextPage,
+          next_cursor: hasNextPage
+            ? encodeCursor(order.relevance
+              ? { sort: order.key, offset: skip + notes.length }
+              : { sort: order.key, value: last[order.field], id: last._id })
+            : null,
+          ...(withTotal && { total_count: totalCount })
+        };
+      } else {
+        const totalPages = withTotal ? Math.ceil(totalCount / limit) : null;
+        paginationData = {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_count: totalCount,
+          per_page: parseInt(limit),
+          has_next_page: hasNextPage,
+          has_prev_page: page > 1
+        };
+      }
 
       return {
         success: true,
         data: {
-          notes,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_count: totalCount,
-            per_page: parseInt(limit),
-            has_next_page: hasNextPage,
-            has_prev_page: hasPrevPage
-          }
+          notes: searching
+            ? notes.map(note => ({
+              ...note.toObject(),
+              highlights: buildNoteHighlights(note, highlightPattern)
+            }))
+            : notes,
+          ...(search && !parsed_query && { search: { query: search, mode: search_mode } }),
+          pagination: paginationData
         }
       };
     } catch (error) {
@@ -110,11 +228,178 @@ class NotesService {
     }
   }
 
+  /**
+   * Resolve the sort order of a notes listing
+   * Relevance only applies to text searches; other listings fall back to the default order
+   * @param {string} sortKey - A NOTE_SORTS value or alias
+   * @param {boolean} textSearch - Whether the query uses $text (relevance is the default then)
+   * @returns {Object} - { key, field, direction, relevance, sort: Mongo sort }
+   */
+  resolveSort(sortKey, textSearch) {
+    const key = NOTE_SORTS.ALIASES[sortKey] || sortKey;
+
+    if (textSearch && (!key || key === 'relevance')) {
+      return {
+        key: 'relevance',
+        relevance: true,
+        sort: { score: { $meta: 'textScore' }, _id: -1 }
+      };
+    }
+
+    const resolved = key && key !== 'relevance' ? key : NOTE_SORTS.DEFAULT;
+    const direction = resolved.startsWith('-') ? -1 : 1;
+    const field = resolved.replace(/^-/, '');
+
+    return {
+      key: resolved,
+      field,
+      direction,
+      relevance: false,
+      // _id breaks ties so keyset pagination has a total order
+      sort: { [field]: direction, _id: direction }
+    };
+  }
+
+  /**
+   * Turn a parsed search-language query into Mongo conditions
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} parsed - Result of parseSearchQuery
+   * @param {string} requesterId - ID of the searching user (for is:mine)
+   * @returns {Promise<Object>} - { conditions, text: $text search string or null }
+   */
+  async buildSearchConditions(tenantId, parsed, requesterId = null) {
+    const conditions = [];
+
+    if (parsed.tags.length > 0) {
+      conditions.push({ tags: { $all: parsed.tags } });
+    }
+    if (parsed.excluded_tags.length > 0) {
+      conditions.push({ tags: { $nin: parsed.excluded_tags } });
+    }
+
+    const findAuthorIds = async (emails) => {
+      const authors = await User.find({ tenant_id: tenantId, email: { $in: emails } }).select('_id');
+      return authors.map(author => author._id);
+    };
+    if (parsed.authors.length > 0) {
+      conditions.push({ user_id: { $in: await findAuthorIds(parsed.authors) } });
+    }
+    if (parsed.excluded_authors.length > 0) {
+      conditions.push({ user_id: { $nin: await findAuthorIds(parsed.excluded_authors) } });
+    }
+
+    if (parsed.created) {
+      conditions.push({ created_at: parsed.created });
+    }
+    if (parsed.updated) {
+      conditions.push({ updated_at: parsed.updated });
+    }
+    parsed.excluded_created.forEach(range => conditions.push({ created_at: { $not: range } }));
+    parsed.excluded_updated.forEach(range => conditions.push({ updated_at: { $not: range } }));
+
+    // Archived notes are only searched when asked for (is:archived, or -is:active / -is:archived to widen
+    // the search to both states first), as in the notes list
+    const positiveStates = [
+      ...(parsed.is.includes('archived') ? [true] : []),
+      ...(parsed.is.includes('active') ? [false] : [])
+    ];
+    const excludedStates = [
+      ...(parsed.excluded_is.includes('archived') ? [true] : []),
+      ...(parsed.excluded_is.includes('active') ? [false] : [])
+    ];
+    const defaultStates = excludedStates.length > 0 ? [true, false] : [false];
+    const archiveStates = new Set((positiveStates.length > 0 ? positiveStates : defaultStates)
+      .filter(state => !excludedStates.includes(state)));
+
+    if (archiveStates.size === 0) {
+      // e.g. is:archived -is:archived
+      conditions.push({ _id: { $exists: false } });
+    } else if (archiveStates.size === 1) {
+      conditions.push({ is_archived: archiveStates.has(true) });
+    }
+
+    if (parsed.is.includes('shared')) {
+      conditions.push({ 'shares.0': { $exists: true } });
+    }
+    if (parsed.excluded_is.includes('shared')) {
+      conditions.push({ 'shares.0': { $exists: false } });
+    }
+    if (parsed.is.includes('mine')) {
+      conditions.push({ user_id: requesterId });
+    }
+    if (parsed.excluded_is.includes('mine')) {
+      conditions.push({ user_id: { $ne: requesterId } });
+    }
+
+    if (parsed.notebook) {
+      conditions.push({ notebook_id: parsed.notebook === 'none' ? null : parsed.notebook });
+    }
+    if (parsed.excluded_notebooks.length > 0) {
+      conditions.push({
+        notebook_id: { $nin: parsed.excluded_notebooks.map(notebook => (notebook === 'none' ? null : notebook)) }
+      });
+    }
+
+    // $text needs at least one positive term; a query made only of exclusions falls back to escaped regexes
+    if (parsed.terms.length > 0 || parsed.phrases.length > 0) {
+      return { conditions, text: parsed.text };
+    }
+
+    if (parsed.negated.length > 0) {
+      conditions.push({
+        $nor: parsed.negated.flatMap(word => [
+          { title: { $regex: escapeRegex(word), $options: 'i' } },
+          { content: { $regex: escapeRegex(word), $options: 'i' } }
+        ])
+      });
+    }
+
+    return { conditions, text: null };
+  }
+
+  /**
+   * Search notes with a parsed query (see utils/searchQuery), ranked by relevance when it has text
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} parsed - Result of parseSearchQuery
+   * @param {Object} options - Query options (page or cursor/pagination, limit, sort, includeTotal, userId: member scope, requesterId: for is:mine)
+   * @returns {Promise<Object>} - Matching notes with highlights and pagination
+   */
+  async searchNotes(tenantId, parsed, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sort = null,
+        cursor = null,
+        pagination = 'page',
+        includeTotal,
+        userId = null,
+        requesterId = null
+      } = options;
+
+      // Members find notes they own or that are shared with them
+      return await this.getNotes(tenantId, {
+        page,
+        limit,
+        sort,
+        cursor,
+        pagination,
+        include_total: includeTotal,
+        parsed_query: parsed,
+        user_id: userId,
+        include_shared: true,
+        requester_id: requesterId
+      });
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get a specific note by ID
    * @param {string} noteId - Note ID
    * @param {string} tenantId - Tenant ID
-   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
    * @returns {Promise<Object>} - Note data
    */
   async getNoteById(noteId, tenantId, userId = null) {
@@ -122,14 +407,11 @@ class NotesService {
       const query = {
         _id: noteId,
         tenant_id: tenantId,
-        is_deleted: false
+        is_deleted: false,
+        // If userId is provided (member role), restrict to owned or shared notes
+        ...this.accessFilter(userId, NOTE_PERMISSIONS.VIEW)
       };
 
-      // If userId is provided (member role), restrict to user's notes
-      if (userId) {
-        query.user_id = userId;
-      }
-
       const note = await Note.findOne(query)
         .populate('user_id', 'email role')
         .populate('tenant_id', 'slug name');
@@ -148,43 +430,102 @@ class NotesService {
   }
 
   /**
-   * Update a note
+   * Update a note, recording the previous state as a revision when content changes
    * @param {string} noteId - Note ID
    * @param {Object} updateData - Update data
    * @param {string} tenantId - Tenant ID
    * @param {string} userId - User ID (optional, for member role)
+   * @param {string} editorId - ID of user making the change
+   * @param {Object} options - Update options (ifMatch: parsed If-Match condition,
+   *   baseRevision: revision the update was computed from)
    * @returns {Promise<Object>} - Updated note
    */
-  async updateNote(noteId, updateData, tenantId, userId = null) {
+  async updateNote(noteId, updateData, tenantId, userId = null, editorId = null, options = {}) {
     try {
-      const query = {
-        _id: noteId,
-        tenant_id: tenantId,
-        is_deleted: false
-      };
+      const { ifMatch = null, baseRevision = null } = options;
+      const note = await this.findAccessibleNote(noteId, tenantId, userId, NOTE_PERMISSIONS.EDIT);
 
-      // If userId is provided (member role), restrict to user's notes
-      if (userId) {
-        query.user_id = userId;
+      if (!ifMatchSatisfied(ifMatch, note.revision)) {
+        throw await this.buildPreconditionError(note);
       }
 
-      const note = await Note.findOneAndUpdate(
-        query,
-        { ...updateData, updated_at: new Date() },
+      if (baseRevision !== null && baseRevision !== note.revision) {
+        throw new CustomError(ERROR_MESSAGES.NOTE.EDIT_CONFLICT, HTTP_STATUS.CONFLICT);
+      }
+
+      // Only editable fields are taken from the client: users with an edit share must not be able
+      // to change ownership, shares, trash state or revision bookkeeping
+      const fields = {};
+      NOTE_EDITABLE_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) {
+          fields[field] = updateData[field];
+        }
+      });
+      const update = { ...fields, updated_at: new Date() };
+
+      if (fields.notebook_id !== undefined) {
+        // Filing into notebooks is up to the owner, not to users the note is shared with
+        if (userId && note.user_id.toString() !== userId.toString()) {
+          throw new CustomError(ERROR_MESSAGES.NOTE.ACCESS_DENIED, HTTP_STATUS.FORBIDDEN);
+        }
+        if (fields.notebook_id) {
+          await notebookService.findAccessibleNotebook(fields.notebook_id, tenantId, userId);
+        }
+      }
+
+      const versionedChange = this.hasVersionedChanges(note, fields);
+      try {
+        if (versionedChange) {
+          await this.recordRevision(note);
+          update.revision = note.revision + 1;
+          update.last_edited_by = editorId || userId || note.user_id;
+        }
+      } catch (error) {
+        throw ifMatch !== null && error.statusCode === HTTP_STATUS.CONFLICT
+          ? await this.buildPreconditionError(note)
+          : error;
+      }
+
+      // Only apply the change if nobody else edited the note since it was read
+      const updatedNote = await Note.findOneAndUpdate(
+        {
+          _id: note._id,
+          tenant_id: tenantId,
+          is_deleted: false,
+          // Notes created before versioning have no stored revision
+          revision: note.revision === 1 ? { $in: [1, null] } : note.revision
+        },
+        update,
         { new: true, runValidators: true }
       ).populate([
         { path: 'user_id', select: 'email role' },
         { path: 'tenant_id', select: 'slug name' }
       ]);
 
-      if (!note) {
-        throw new Error(ERROR_MESSAGES.NOTE.NOT_FOUND);
+      if (!updatedNote) {
+        if (versionedChange) {
+          await NoteRevision.deleteOne({ note_id: note._id, revision: note.revision });
+        }
+        throw ifMatch !== null
+          ? await this.buildPreconditionError(note)
+          : new CustomError(ERROR_MESSAGES.NOTE.EDIT_CONFLICT, HTTP_STATUS.CONFLICT);
+      }
+
+      // Only users mentioned by this edit are notified
+      if (updatedNote.content !== note.content) {
+        await notificationService.notifyMentions({
+          tenantId,
+          actorId: editorId || userId || note.user_id,
+          note: updatedNote,
+          text: updatedNote.content,
+          previousText: note.content
+        });
       }
 
       return {
         success: true,
         message: SUCCESS_MESSAGES.NOTE.UPDATED,
-        data: note
+        data: updatedNote
       };
     } catch (error) {
       throw error;
@@ -192,44 +533,863 @@ class NotesService {
   }
 
   /**
-   * Delete a note (soft delete)
+   * Apply a JSON Merge Patch to a note, plus add_tags / remove_tags operations
+   * Absent fields are left alone; `tags: null` clears all tags
    * @param {string} noteId - Note ID
+   * @param {Object} patch - Merge patch (title, content, tags, is_archived, notebook_id, add_tags, remove_tags)
    * @param {string} tenantId - Tenant ID
    * @param {string} userId - User ID (optional, for member role)
-   * @returns {Promise<Object>} - Deletion result
+   * @param {string} editorId - ID of user making the change
+   * @param {Object} options - Update options (ifMatch: parsed If-Match condition)
+   * @returns {Promise<Object>} - Updated note
    */
-  async deleteNote(noteId, tenantId, userId = null) {
+  async patchNote(noteId, patch, tenantId, userId = null, editorId = null, options = {}) {
     try {
-      const query = {
-        _id: noteId,
-        tenant_id: tenantId,
-        is_deleted: false
-      };
+      const { add_tags: addTags, remove_tags: removeTags, tags, ...fields } = patch;
+      const update = {};
 
-      // If userId is provided (member role), restrict to user's notes
-      if (userId) {
-        query.user_id = userId;
+      ['title', 'content', 'is_archived', 'notebook_id'].forEach(field => {
+        if (fields[field] !== undefined) {
+          update[field] = fields[field];
+        }
+      });
+
+      if (tags !== undefined || addTags || removeTags) {
+        const note = await this.findAccessibleNote(noteId, tenantId, userId, NOTE_PERMISSIONS.EDIT);
+        const normalize = list => (list || []).map(tag => String(tag).trim().toLowerCase());
+
+        const removed = normalize(removeTags);
+        const nextTags = [...normalize(tags === undefined ? note.tags : tags), ...normalize(addTags)]
+          .filter((tag, index, list) => list.indexOf(tag) === index)
+          .filter(tag => !removed.includes(tag));
+
+        update.tags = nextTags;
+
+        // Tag operations were computed from this revision, so it must not change underneath them
+        options = { ...options, baseRevision: note.revision };
       }
 
-      const note = await Note.findOneAndUpdate(
-        query,
-        { is_deleted: true, updated_at: new Date() },
-        { new: true }
+      return await this.updateNote(noteId, update, tenantId, userId, editorId, options);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Move a note into a notebook (or out of all notebooks with null)
+   * @param {string} noteId - Note ID
+   * @param {string|null} notebookId - Target notebook ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} editorId - ID of user moving the note
+   * @param {Object} options - Update options (ifMatch: parsed If-Match condition)
+   * @returns {Promise<Object>} - Updated note
+   */
+  async moveNote(noteId, notebookId, tenantId, userId = null, editorId = null, options = {}) {
+    try {
+      const result = await this.updateNote(
+        noteId,
+        { notebook_id: notebookId || null },
+        tenantId,
+        userId,
+        editorId,
+        options
       );
 
-      if (!note) {
-        throw new Error(ERROR_MESSAGES.NOTE.NOT_FOUND);
+      return {
+        ...result,
+        message: SUCCESS_MESSAGES.NOTE.MOVED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Build the 412 error returned when If-Match does not match, carrying the server's version
+   * @param {Object} note - Note document the client tried to update
+   * @returns {Promise<CustomError>} - Error with the current note in `current`
+   */
+  async buildPreconditionError(note) {
+    const current = await Note.findOne({ _id: note._id, tenant_id: note.tenant_id, is_deleted: false })
+      .populate('user_id', 'email role')
+      .populate('tenant_id', 'slug name');
+
+    if (!current) {
+      return new Error(ERROR_MESSAGES.NOTE.NOT_FOUND);
+    }
+
+    const error = new CustomError(ERROR_MESSAGES.NOTE.PRECONDITION_FAILED, HTTP_STATUS.PRECONDITION_FAILED);
+    error.current = current;
+    return error;
+  }
+
+  /**
+   * Build the filter limiting notes to those a member owns or was granted
+   * @param {string} userId - User ID (null for admins, who see every tenant note)
+   * @param {string} permission - Required permission ('view' or 'edit')
+   * @returns {Object} - Mongo filter fragment
+   */
+  accessFilter(userId, permission = NOTE_PERMISSIONS.VIEW) {
+    if (!userId) {
+      return {};
+    }
+
+    const grant = permission === NOTE_PERMISSIONS.EDIT
+      ? { shares: { $elemMatch: { user_id: userId, permission: NOTE_PERMISSIONS.EDIT } } }
+      : { 'shares.user_id': userId };
+
+    return { $or: [{ user_id: userId }, grant] };
+  }
+
+  /**
+   * Find a note the user may access or throw
+   * A note the user can see but not edit raises 403 rather than 404
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} permission - Required permission ('view' or 'edit')
+   * @returns {Promise<Object>} - Note document
+   */
+  async findAccessibleNote(noteId, tenantId, userId = null, permission = NOTE_PERMISSIONS.VIEW) {
+    const query = {
+      _id: noteId,
+      tenant_id: tenantId,
+      is_deleted: false
+    };
+
+    const note = await Note.findOne({ ...query, ...this.accessFilter(userId, permission) });
+    if (note) {
+      return note;
+    }
+
+    if (permission === NOTE_PERMISSIONS.EDIT &&
+      await Note.exists({ ...query, ...this.accessFilter(userId, NOTE_PERMISSIONS.VIEW) })) {
+      throw new CustomError(ERROR_MESSAGES.NOTE.ACCESS_DENIED, HTTP_STATUS.FORBIDDEN);
+    }
+
+    throw new Error(ERROR_MESSAGES.NOTE.NOT_FOUND);
+  }
+
+  /**
+   * Check whether an update changes any versioned field
+   * Archive state and notebook are included so the revision (and ETag) changes whenever the note does
+   * @param {Object} note - Current note document
+   * @param {Object} fields - Incoming fields
+   * @returns {boolean} - Whether title, content, tags, archive state or notebook change
+   */
+  hasVersionedChanges(note, fields) {
+    if (fields.is_archived !== undefined && String(fields.is_archived) !== String(note.is_archived)) {
+      return true;
+    }
+
+    if (fields.notebook_id !== undefined && String(fields.notebook_id || null) !== String(note.notebook_id)) {
+      return true;
+    }
+
+    if (fields.title !== undefined && fields.title !== note.title) {
+      return true;
+    }
+
+    if (fields.content !== undefined && fields.content !== note.content) {
+      return true;
+    }
+
+    if (fields.tags !== undefined) {
+      const incoming = fields.tags.map(tag => String(tag).trim().toLowerCase());
+      return incoming.join('\u0000') !== note.tags.join('\u0000');
+    }
+
+    return false;
+  }
+
+  /**
+   * Snapshot the current state of a note as its revision
+   * @param {Object} note - Note document
+   * @throws {CustomError} - 409 if the revision was already recorded by a concurrent edit
+   */
+  async recordRevision(note) {
+    try {
+      await NoteRevision.create({
+        tenant_id: note.tenant_id,
+        note_id: note._id,
+        revision: note.revision,
+        title: note.title,
+        content: note.content,
+        tags: note.tags,
+        is_archived: note.is_archived,
+        author_id: note.last_edited_by || note.user_id,
+        authored_at: note.updated_at
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new CustomError(ERROR_MESSAGES.NOTE.EDIT_CONFLICT, HTTP_STATUS.CONFLICT);
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Load one revision of a note (the current revision comes from the note itself)
+   * @param {Object} note - Note document
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} - Revision data
+   */
+  async loadRevision(note, revision) {
+    if (revision === note.revision) {
+      return {
+        revision: note.revision,
+        title: note.title,
+        content: note.content,
+        tags: note.tags,
+        author_id: note.last_edited_by || note.user_id,
+        authored_at: note.updated_at,
+        is_current: true
+      };
+    }
+
+    const snapshot = await NoteRevision.findOne({ note_id: note._id, revision });
+    if (!snapshot) {
+      throw new Error(ERROR_MESSAGES.NOTE.REVISION_NOT_FOUND);
+    }
+
+    return {
+      revision: snapshot.revision,
+      title: snapshot.title,
+      content: snapshot.content,
+      tags: snapshot.tags,
+      author_id: snapshot.author_id,
+      authored_at: snapshot.authored_at,
+      is_current: false
+    };
+  }
+
+  /**
+   * List the revision history of a note (newest first)
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Revisions without content
+   */
+  async getNoteVersions(noteId, tenantId, userId = null) {
+    try {
+      const note = await this.findAccessibleNote(noteId, tenantId, userId);
+      await note.populate([
+        { path: 'user_id', select: 'email' },
+        { path: 'last_edited_by', select: 'email' }
+      ]);
+
+      const snapshots = await NoteRevision.find({ note_id: note._id })
+        .select('-content')
+        .populate('author_id', 'email')
+        .sort({ revision: -1 });
+
+      const formatAuthor = (author) => (author ? { id: author._id, email: author.email } : null);
+
+      const versions = [
+        {
+          revision: note.revision,
+          title: note.title,
+          tags: note.tags,
+          author: formatAuthor(note.last_edited_by || note.user_id),
+          authored_at: note.updated_at,
+          is_current: true
+        },
+        ...snapshots.map(snapshot => ({
+          revision: snapshot.revision,
+          title: snapshot.title,
+          tags: snapshot.tags,
+          author: formatAuthor(snapshot.author_id),
+          authored_at: snapshot.authored_at,
+          is_current: false
+        }))
+      ];
 
       return {
         success: true,
-        message: SUCCESS_MESSAGES.NOTE.DELETED
+        data: {
+          note_id: note._id,
+          current_revision: note.revision,
+          versions
+        }
       };
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Get a single revision of a note
+   * @param {string} noteId - Note ID
+   * @param {number} revision - Revision number
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Revision with content
+   */
+  async getNoteVersion(noteId, revision, tenantId, userId = null) {
+    try {
+      const note = await this.findAccessibleNote(noteId, tenantId, userId);
+
+      return {
+        success: true,
+        data: await this.loadRevision(note, revision)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Diff two revisions of a note
+   * @param {string} noteId - Note ID
+   * @param {number} fromRevision - Older revision
+   * @param {number} toRevision - Newer revision (defaults to the current one)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Title, tag and line-level content changes
+   */
+  async diffNoteVersions(noteId, fromRevision, toRevision, tenantId, userId = null) {
+    try {
+      const note = await this.findAccessibleNote(noteId, tenantId, userId);
+
+      const [from, to] = await Promise.all([
+        this.loadRevision(note, fromRevision),
+        this.loadRevision(note, toRevision || note.revision)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          from: from.revision,
+          to: to.revision,
+          title: from.title === to.title
+            ? null
+            : { from: from.title, to: to.title },
+          tags: diffTags(from.tags, to.tags),
+          content: diffLines(from.content, to.content)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a note to an earlier revision (recorded as a new revision)
+   * @param {string} noteId - Note ID
+   * @param {number} revision - Revision to restore
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} editorId - ID of user restoring the note
+   * @returns {Promise<Object>} - Updated note
+   */
+  async restoreNoteVersion(noteId, revision, tenantId, userId = null, editorId = null) {
+    try {
+      const note = await this.findAccessibleNote(noteId, tenantId, userId, NOTE_PERMISSIONS.EDIT);
+      const target = await this.loadRevision(note, revision);
+
+      const result = await this.updateNote(
+        noteId,
+        { title: target.title, content: target.content, tags: target.tags },
+        tenantId,
+        userId,
+        editorId
+      );
+
+      return {
+        ...result,
+        message: SUCCESS_MESSAGES.NOTE.RESTORED_REVISION
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a note (soft delete, moves it to the trash)
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} deletedById - ID of user deleting the note
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteNote(noteId, tenantId, userId = null, deletedById = null) {
+    try {
+      const query = {
+        _id: noteId,
+        tenant_id: tenantId,
+        is_deleted: false
+      };
+
+      // If userId is provided (member role), restrict to user's notes
+      if (userId) {
+        query.user_id = userId;
+      }
+
+      const note = await Note.findOneAndUpdate(
+        query,
+        {
+          is_deleted: true,
+          deleted_at: new Date(),
+          deleted_by: deletedById || userId,
+          updated_at: new Date()
+        },
+        { new: true }
+      );
+
+      if (!note) {
+        throw new Error(ERROR_MESSAGES.NOTE.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTE.DELETED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List trashed notes with the date each will be purged
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} options - Query options (page, limit, user_id)
+   * @returns {Promise<Object>} - Trashed notes with pagination
+   */
+  async getTrash(tenantId, options = {}) {
+    try {
+      const { page = 1, limit = 10, user_id = null } = options;
+
+      const query = {
+        tenant_id: tenantId,
+        is_deleted: true
+      };
+
+      // Add user filter if specified
+      if (user_id) {
+        query.user_id = user_id;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [notes, totalCount, tenant] = await Promise.all([
+        Note.find(query)
+          .populate('user_id', 'email role')
+          .populate('deleted_by', 'email')
+          .sort({ deleted_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Note.countDocuments(query),
+        Tenant.findById(tenantId)
+      ]);
+
+      if (!tenant) {
+        throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
+      }
+
+      const retentionMs = tenant.trash_retention_days * 24 * 60 * 60 * 1000;
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return {
+        success: true,
+        data: {
+          notes: notes.map(note => {
+            // Notes trashed before deleted_at existed fall back to their last update
+            const deletedAt = note.deleted_at || note.updated_at;
+            return {
+              ...note.toObject(),
+              deleted_at: deletedAt,
+              purge_at: new Date(deletedAt.getTime() + retentionMs)
+            };
+          }),
+          retention_days: tenant.trash_retention_days,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_count: totalCount,
+            per_page: parseInt(limit),
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a note from the trash
+   * Restored notes count towards the plan limit again, so it is re-checked
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Restored note
+   */
+  async restoreNote(noteId, tenantId, userId = null) {
+    try {
+      const query = {
+        _id: noteId,
+        tenant_id: tenantId,
+        is_deleted: true
+      };
+
+      // If userId is provided (member role), restrict to user's notes
+      if (userId) {
+        query.user_id = userId;
+      }
+
+      if (!(await Note.exists(query))) {
+        throw new Error(ERROR_MESSAGES.NOTE.NOT_IN_TRASH);
+      }
+
+      await this.checkNoteLimit(tenantId);
+
+      const note = await Note.findOneAndUpdate(
+        query,
+        { is_deleted: false, deleted_at: null, deleted_by: null, updated_at: new Date() },
+        { new: true }
+      ).populate([
+        { path: 'user_id', select: 'email role' },
+        { path: 'tenant_id', select: 'slug name' }
+      ]);
+
+      if (!note) {
+        throw new Error(ERROR_MESSAGES.NOTE.NOT_IN_TRASH);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTE.RESTORED,
+        data: note
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a trashed note and its revision history
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async permanentlyDeleteNote(noteId, tenantId, userId = null) {
+    try {
+      const query = {
+        _id: noteId,
+        tenant_id: tenantId,
+        is_deleted: true
+      };
+
+      // If userId is provided (member role), restrict to user's notes
+      if (userId) {
+        query.user_id = userId;
+      }
+
+      const note = await Note.findOneAndDelete(query);
+      if (!note) {
+        throw new Error(ERROR_MESSAGES.NOTE.NOT_IN_TRASH);
+      }
+
+      await Promise.all([
+        NoteRevision.deleteMany({ note_id: note._id }),
+        ShareLink.deleteMany({ note_id: note._id }),
+        Comment.deleteMany({ note_id: note._id }),
+        Notification.deleteMany({ note_id: note._id }),
+        this.deleteNoteAttachments([note._id])
+      ]);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTE.PERMANENTLY_DELETED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete notes that outlived their tenant's trash retention
+   * @param {Date} now - Reference time (default: now)
+   * @returns {Promise<number>} - Number of purged notes
+   */
+  async purgeExpiredTrash(now = new Date()) {
+    try {
+      const tenants = await Tenant.find({}).select('trash_retention_days');
+      let purged = 0;
+
+      for (const tenant of tenants) {
+        const cutoff = new Date(now.getTime() - tenant.trash_retention_days * 24 * 60 * 60 * 1000);
+        const filter = {
+          tenant_id: tenant._id,
+          is_deleted: true,
+          $or: [
+            { deleted_at: { $lte: cutoff } },
+            // Notes trashed before deleted_at existed
+            { deleted_at: null, updated_at: { $lte: cutoff } }
+          ]
+        };
+
+        // Work in batches so a large backlog does not load every ID at once
+        let batch;
+        do {
+          batch = await Note.find(filter).select('_id').limit(TRASH_PURGE_BATCH_SIZE);
+          const ids = batch.map(note => note._id);
+
+          if (ids.length > 0) {
+            await Promise.all([
+              NoteRevision.deleteMany({ note_id: { $in: ids } }),
+              ShareLink.deleteMany({ note_id: { $in: ids } }),
+              Comment.deleteMany({ note_id: { $in: ids } }),
+              Notification.deleteMany({ note_id: { $in: ids } }),
+              this.deleteNoteAttachments(ids)
+            ]);
+            const result = await Note.deleteMany({ _id: { $in: ids }, is_deleted: true });
+            purged += result.deletedCount;
+          }
+        } while (batch.length === TRASH_PURGE_BATCH_SIZE);
+      }
+
+      return purged;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the attachments of purged notes, stored content included
+   * @param {Array<string>} noteIds - Note IDs
+   */
+  async deleteNoteAttachments(noteIds) {
+    const attachments = await Attachment.find({ note_id: { $in: noteIds } }).select('storage_key');
+    if (attachments.length === 0) {
+      return;
+    }
+
+    await storageService.deleteMany(attachments.map(attachment => attachment.storage_key));
+    await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+  }
+
+  /**
+   * Find a note whose sharing the user may manage (owner, or admin when userId is null)
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Note document
+   */
+  async findShareableNote(noteId, tenantId, userId = null) {
+    const note = await this.findAccessibleNote(noteId, tenantId, userId);
+
+    if (userId && note.user_id.toString() !== userId.toString()) {
+      throw new CustomError(ERROR_MESSAGES.NOTE.ACCESS_DENIED, HTTP_STATUS.FORBIDDEN);
+    }
+
+    return note;
+  }
+
+  /**
+   * Format the sharing grants of a note
+   * @param {Object} note - Note document with shares.user_id populated
+   * @returns {Array<Object>} - Grants
+   */
+  formatShares(note) {
+    return note.shares.map(share => ({
+      user: share.user_id && share.user_id.email
+        ? { id: share.user_id._id, email: share.user_id.email }
+        : { id: share.user_id },
+      permission: share.permission,
+      granted_by: share.granted_by,
+      granted_at: share.granted_at
+    }));
+  }
+
+  /**
+   * List who a note is shared with (owner or admin)
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Sharing grants
+   */
+  async getNoteShares(noteId, tenantId, userId = null) {
+    try {
+      const note = await this.findShareableNote(noteId, tenantId, userId);
+      await note.populate('shares.user_id', 'email');
+
+      return {
+        success: true,
+        data: {
+          note_id: note._id,
+          shares: this.formatShares(note)
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Share a note with another user of the tenant, or change their permission
+   * @param {string} noteId - Note ID
+   * @param {string} targetUserId - User receiving access
+   * @param {string} permission - 'view' or 'edit'
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} grantedById - ID of user granting access
+   * @returns {Promise<Object>} - Updated sharing grants
+   */
+  async shareNote(noteId, targetUserId, permission, tenantId, userId = null, grantedById = null) {
+    try {
+      const note = await this.findShareableNote(noteId, tenantId, userId);
+
+      if (note.user_id.toString() === targetUserId.toString()) {
+        throw new Error(ERROR_MESSAGES.SHARE.OWNER);
+      }
+
+      const target = await User.exists({ _id: targetUserId, tenant_id: tenantId, is_active: true });
+      if (!target) {
+        throw new Error(ERROR_MESSAGES.SHARE.USER_NOT_FOUND);
+      }
+
+      // Update an existing grant in place, otherwise add one
+      const updated = await Note.updateOne(
+        { _id: note._id, 'shares.user_id': targetUserId },
+        { $set: { 'shares.$.permission': permission } }
+      );
+
+      if (updated.matchedCount === 0) {
+        await Note.updateOne(
+          { _id: note._id, 'shares.user_id': { $ne: targetUserId } },
+          {
+            $push: {
+              shares: {
+                user_id: targetUserId,
+                permission,
+                granted_by: grantedById || userId,
+                granted_at: new Date()
+              }
+            }
+          }
+        );
+      }
+
+      const result = await this.getNoteShares(noteId, tenantId, userId);
+
+      return {
+        ...result,
+        message: SUCCESS_MESSAGES.NOTE.SHARED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a user's access to a note
+   * @param {string} noteId - Note ID
+   * @param {string} targetUserId - User losing access
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Updated sharing grants
+   */
+  async unshareNote(noteId, targetUserId, tenantId, userId = null) {
+    try {
+      const note = await this.findShareableNote(noteId, tenantId, userId);
+
+      const result = await Note.updateOne(
+        { _id: note._id },
+        { $pull: { shares: { user_id: targetUserId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new Error(ERROR_MESSAGES.SHARE.NOT_FOUND);
+      }
+
+      const shares = await this.getNoteShares(noteId, tenantId, userId);
+
+      return {
+        ...shares,
+        message: SUCCESS_MESSAGES.NOTE.UNSHARED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List notes other users have shared with a user
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Query options (page, limit, permission)
+   * @returns {Promise<Object>} - Shared notes with pagination
+   */
+  async getSharedNotes(tenantId, userId, options = {}) {
+    try {
+      const { page = 1, limit = 10, permission = null } = options;
+
+      const query = {
+        tenant_id: tenantId,
+        is_deleted: false,
+        shares: {
+          $elemMatch: {
+            user_id: userId,
+            ...(permission && { permission })
+          }
+        }
+      };
+
+      const skip = (page - 1) * limit;
+
+      const [notes, totalCount] = await Promise.all([
+        Note.find(query)
+          .populate('user_id', 'email role')
+          .sort({ updated_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Note.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return {
+        success: true,
+        data: {
+          notes: notes.map(note => ({
+            ...note.toObject(),
+            my_permission: note.shares.find(share => share.user_id.toString() === userId.toString()).permission
+          })),
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_count: totalCount,
+            per_page: parseInt(limit),
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every sharing grant held by a user
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User whose grants are removed
+   */
+  async removeUserShares(tenantId, userId) {
+    try {
+      await Note.updateMany(
+        { tenant_id: tenantId, 'shares.user_id': userId },
+        { $pull: { shares: { user_id: userId } } }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Check if tenant has reached note limit
    * @param {string} tenantId - Tenant ID
@@ -0,0 +1,207 @@
+const { Notification, User } = require('../models');
+const { extractNewMentions, mentionExcerpt } = require('../utils/mentions');
+const { ERROR_MESSAGES, SUCCESS_MESSAGES, NOTIFICATION_TYPES, ROLES } = require('../utils/constants');
+
+class NotificationService {
+  /**
+   * Format a notification for responses
+   * @param {Object} notification - Notification document with actor_id and note_id populated
+   * @returns {Object} - Notification data
+   */
+  formatNotification(notification) {
+    return {
+      id: notification._id,
+      type: notification.type,
+      read: Boolean(notification.read_at),
+      read_at: notification.read_at,
+      actor: notification.actor_id && notification.actor_id.email
+        ? { id: notification.actor_id._id, email: notification.actor_id.email }
+        : null,
+      note: notification.note_id && notification.note_id.title
+        ? { id: notification.note_id._id, title: notification.note_id.title }
+        : null,
+      comment_id: notification.comment_id,
+      excerpt: notification.excerpt,
+      created_at: notification.created_at
+    };
+  }
+
+  /**
+   * Check whether a user can see a note (admins see every tenant note)
+   * @param {Object} user - User document
+   * @param {Object} note - Note document
+   * @returns {boolean} - Whether the user can view the note
+   */
+  canViewNote(user, note) {
+    const userId = user._id.toString();
+    const ownerId = (note.user_id._id || note.user_id).toString();
+
+    return user.role === ROLES.ADMIN ||
+      ownerId === userId ||
+      (note.shares || []).some(share => share.user_id.toString() === userId);
+  }
+
+  /**
+   * Notify tenant users newly @mentioned in a note or comment
+   * Only users who can open the note are notified, and the author never notifies themselves.
+   * Failures are logged rather than thrown so they never undo the write that triggered them.
+   * @param {Object} params - Mention context
+   * @param {string} params.tenantId - Tenant ID
+   * @param {string} params.actorId - ID of the user who wrote the text
+   * @param {Object} params.note - Note document the text belongs to
+   * @param {Object} params.comment - Comment document (optional, for comment mentions)
+   * @param {string} params.text - New text
+   * @param {string} params.previousText - Text before an edit, whose mentions were already notified
+   * @returns {Promise<number>} - Number of notifications created
+   */
+  async notifyMentions({ tenantId, actorId, note, comment = null, text, previousText = null }) {
+    try {
+      const emails = extractNewMentions(text, previousText);
+      if (emails.length === 0) {
+        return 0;
+      }
+
+      const users = await User.find({
+        tenant_id: tenantId,
+        email: { $in: emails },
+        is_active: true,
+        _id: { $ne: actorId }
+      }).select('email role');
+
+      const notifications = users
+        .filter(user => this.canViewNote(user, note))
+        .map(user => ({
+          tenant_id: tenantId,
+          user_id: user._id,
+          type: comment ? NOTIFICATION_TYPES.COMMENT_MENTION : NOTIFICATION_TYPES.NOTE_MENTION,
+          actor_id: actorId,
+          note_id: note._id,
+          comment_id: comment ? comment._id : null,
+          excerpt: mentionExcerpt(text, user.email)
+        }));
+
+      if (notifications.length > 0) {
+        await Notification.insertMany(notifications);
+      }
+
+      return notifications.length;
+    } catch (error) {
+      console.error('Mention notification error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * List a user's notifications, newest first
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Recipient ID
+   * @param {Object} options - Query options (page, limit, unread)
+   * @returns {Promise<Object>} - Notifications with unread count and pagination
+   */
+  async getNotifications(tenantId, userId, options = {}) {
+    try {
+      const { page = 1, limit = 20, unread = false } = options;
+
+      const baseQuery = { tenant_id: tenantId, user_id: userId };
+      const query = unread ? { ...baseQuery, read_at: null } : baseQuery;
+      const skip = (page - 1) * limit;
+
+      const [notifications, totalCount, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .populate('actor_id', 'email')
+          .populate('note_id', 'title')
+          .sort({ created_at: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ ...baseQuery, read_at: null })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      return {
+        success: true,
+        data: {
+          notifications: notifications.map(notification => this.formatNotification(notification)),
+          unread_count: unreadCount,
+          pagination: {
+            current_page: parseInt(page),
+            total_pages: totalPages,
+            total_count: totalCount,
+            per_page: parseInt(limit),
+            has_next_page: page < totalPages,
+            has_prev_page: page > 1
+          }
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark one notification as read
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Recipient ID
+   * @param {string} notificationId - Notification ID
+   * @returns {Promise<Object>} - Updated notification
+   */
+  async markAsRead(tenantId, userId, notificationId) {
+    try {
+      const notification = await Notification.findOne({
+        _id: notificationId,
+        tenant_id: tenantId,
+        user_id: userId
+      });
+
+      if (!notification) {
+        throw new Error(ERROR_MESSAGES.NOTIFICATION.NOT_FOUND);
+      }
+
+      if (!notification.read_at) {
+        notification.read_at = new Date();
+        await notification.save();
+      }
+
+      await notification.populate([
+        { path: 'actor_id', select: 'email' },
+        { path: 'note_id', select: 'title' }
+      ]);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTIFICATION.READ,
+        data: this.formatNotification(notification)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Mark all of a user's notifications as read
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Recipient ID
+   * @returns {Promise<Object>} - Number of notifications updated
+   */
+  async markAllAsRead(tenantId, userId) {
+    try {
+      const result = await Notification.updateMany(
+        { tenant_id: tenantId, user_id: userId, read_at: null },
+        { read_at: new Date() }
+      );
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.NOTIFICATION.ALL_READ,
+        data: {
+          updated_count: result.modifiedCount
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new NotificationService();
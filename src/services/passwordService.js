@@ -0,0 +1,160 @@
+const { User, Tenant } = require('../models');
+const tokenService = require('./tokenService');
+const { comparePassword, hashPassword } = require('../utils/bcrypt');
+const { resolvePasswordPolicy, validatePassword } = require('../utils/passwordPolicy');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES } = require('../utils/constants');
+
+class PasswordService {
+  /**
+   * Get the effective password policy for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Password policy
+   */
+  async getPolicy(tenantId) {
+    try {
+      const tenant = await Tenant.findById(tenantId).select('password_policy');
+      if (!tenant) {
+        throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
+      }
+
+      return resolvePasswordPolicy(tenant.password_policy);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a new password satisfies the tenant policy and is not a recent password
+   * @param {Object} user - User document selected with +password_hash +password_history
+   * @param {string} newPassword - Candidate password
+   * @returns {Promise<Object>} - Effective policy
+   * @throws {CustomError} - 422 with policy violations
+   */
+  async assertAcceptable(user, newPassword) {
+    try {
+      const policy = await this.getPolicy(user.tenant_id._id || user.tenant_id);
+      const violations = validatePassword(newPassword, policy, { email: user.email });
+
+      // The current password always counts as reused
+      const recentHashes = [user.password_hash, ...(user.password_history || []).slice(0, policy.history_count)]
+        .filter(Boolean);
+
+      for (const previousHash of recentHashes) {
+        if (await comparePassword(newPassword, previousHash)) {
+          violations.push(ERROR_MESSAGES.PASSWORD.REUSED);
+          break;
+        }
+      }
+
+      this.throwIfViolations(violations);
+
+      return policy;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure a password for a new account satisfies the tenant policy
+   * @param {string} tenantId - Tenant ID
+   * @param {string} password - Candidate password
+   * @param {string} email - Account email
+   * @throws {CustomError} - 422 with policy violations
+   */
+  async assertMeetsPolicy(tenantId, password, email) {
+    try {
+      const policy = await this.getPolicy(tenantId);
+      this.throwIfViolations(validatePassword(password, policy, { email }));
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Raise a 422 error listing policy violations, if any
+   * @param {Array<string>} violations - Policy violations
+   */
+  throwIfViolations(violations) {
+    if (violations.length > 0) {
+      const error = new CustomError(ERROR_MESSAGES.PASSWORD.POLICY_VIOLATION, HTTP_STATUS.UNPROCESSABLE_ENTITY);
+      error.details = violations;
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password, recording the previous hash in the user's history
+   * Callers must run assertAcceptable first
+   * @param {Object} user - User document selected with +password_hash +password_history
+   * @param {string} newPassword - New password
+   * @param {Object} policy - Effective password policy
+   */
+  async applyPassword(user, newPassword, policy) {
+    try {
+      const history = [user.password_hash, ...(user.password_history || [])]
+        .filter(Boolean)
+        .slice(0, policy.history_count);
+
+      // Hash here rather than in the pre-save hook so history and hash update together
+      await User.updateOne(
+        { _id: user._id },
+        {
+          password_hash: await hashPassword(newPassword),
+          password_history: history,
+          password_changed_at: new Date()
+        }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Load a user with the fields needed for password changes
+   * @param {Object} filter - User filter
+   * @returns {Promise<Object|null>} - User document
+   */
+  findUserForPasswordChange(filter) {
+    return User.findOne({ ...filter, is_active: true })
+      .select('+password_hash +password_history');
+  }
+
+  /**
+   * Change the password of the authenticated user
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID for isolation
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} currentSessionId - Session to keep signed in
+   * @returns {Promise<Object>} - Change result
+   */
+  async changePassword(userId, tenantId, currentPassword, newPassword, currentSessionId = null) {
+    try {
+      const user = await this.findUserForPasswordChange({ _id: userId, tenant_id: tenantId });
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      const isCurrentValid = await user.comparePassword(currentPassword);
+      if (!isCurrentValid) {
+        throw new CustomError(ERROR_MESSAGES.PASSWORD.CURRENT_INCORRECT, HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      const policy = await this.assertAcceptable(user, newPassword);
+      await this.applyPassword(user, newPassword, policy);
+
+      // Other devices must sign in again with the new password
+      await tokenService.revokeOtherSessions(user._id, currentSessionId, 'logout_all');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.AUTH.PASSWORD_CHANGED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new PasswordService();
@@ -0,0 +1,247 @@
+const { SavedSearch } = require('../models');
+const { parseSearchQuery } = require('../utils/searchQuery');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, ROLES } = require('../utils/constants');
+
+class SavedSearchService {
+  /**
+   * Format a saved search for responses
+   * @param {Object} savedSearch - SavedSearch document with user_id populated
+   * @param {string} requesterId - ID of the requesting user
+   * @returns {Object} - Saved search data
+   */
+  formatSavedSearch(savedSearch, requesterId) {
+    const ownerId = (savedSearch.user_id._id || savedSearch.user_id).toString();
+
+    return {
+      id: savedSearch._id,
+      name: savedSearch.name,
+      query: savedSearch.query,
+      sort: savedSearch.sort,
+      is_shared: savedSearch.is_shared,
+      owner: savedSearch.user_id.email
+        ? { id: savedSearch.user_id._id, email: savedSearch.user_id.email }
+        : { id: savedSearch.user_id },
+      is_owner: ownerId === requesterId.toString(),
+      created_at: savedSearch.created_at,
+      updated_at: savedSearch.updated_at
+    };
+  }
+
+  /**
+   * Map duplicate-key errors to a name conflict
+   * @param {Error} error - Write error
+   * @returns {Error} - Error to throw
+   */
+  mapWriteError(error) {
+    if (error.code === 11000) {
+      return new CustomError(ERROR_MESSAGES.SAVED_SEARCH.NAME_TAKEN, HTTP_STATUS.CONFLICT);
+    }
+    return error;
+  }
+
+  /**
+   * Find a saved search the user owns or that is shared with the tenant, or throw
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - SavedSearch document
+   */
+  async findUsableSavedSearch(savedSearchId, tenantId, userId) {
+    const savedSearch = await SavedSearch.findOne({
+      _id: savedSearchId,
+      tenant_id: tenantId,
+      $or: [{ user_id: userId }, { is_shared: true }]
+    });
+
+    if (!savedSearch) {
+      throw new Error(ERROR_MESSAGES.SAVED_SEARCH.NOT_FOUND);
+    }
+
+    return savedSearch;
+  }
+
+  /**
+   * Load a saved search and parse its query for execution
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - { savedSearch, parsed }
+   */
+  async resolveSavedSearch(savedSearchId, tenantId, userId) {
+    try {
+      const savedSearch = await this.findUsableSavedSearch(savedSearchId, tenantId, userId);
+
+      return {
+        savedSearch,
+        parsed: parseSearchQuery(savedSearch.query)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List the user's saved searches and those shared with the tenant
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Requesting user ID
+   * @param {Object} options - Query options (scope: all | mine | shared)
+   * @returns {Promise<Object>} - Saved searches
+   */
+  async getSavedSearches(tenantId, userId, options = {}) {
+    try {
+      const { scope = 'all' } = options;
+
+      const filters = {
+        all: { $or: [{ user_id: userId }, { is_shared: true }] },
+        mine: { user_id: userId },
+        shared: { is_shared: true }
+      };
+
+      const savedSearches = await SavedSearch.find({ tenant_id: tenantId, ...filters[scope] })
+        .populate('user_id', 'email')
+        .sort({ name: 1 });
+
+      return {
+        success: true,
+        data: {
+          saved_searches: savedSearches.map(savedSearch => this.formatSavedSearch(savedSearch, userId)),
+          total_count: savedSearches.length
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get a saved search
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Saved search
+   */
+  async getSavedSearchById(savedSearchId, tenantId, userId) {
+    try {
+      const savedSearch = await this.findUsableSavedSearch(savedSearchId, tenantId, userId);
+      await savedSearch.populate('user_id', 'email');
+
+      return {
+        success: true,
+        data: this.formatSavedSearch(savedSearch, userId)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Save a search
+   * @param {Object} data - Saved search data (name, query, sort, is_shared)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Object>} - Created saved search
+   */
+  async createSavedSearch(data, tenantId, userId) {
+    try {
+      // Reject queries that would fail every time they run
+      parseSearchQuery(data.query);
+
+      let savedSearch;
+      try {
+        savedSearch = await SavedSearch.create({
+          tenant_id: tenantId,
+          user_id: userId,
+          name: data.name,
+          query: data.query,
+          sort: data.sort,
+          is_shared: Boolean(data.is_shared)
+        });
+      } catch (error) {
+        throw this.mapWriteError(error);
+      }
+
+      await savedSearch.populate('user_id', 'email');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SAVED_SEARCH.CREATED,
+        data: this.formatSavedSearch(savedSearch, userId)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update a saved search (owner only)
+   * @param {string} savedSearchId - Saved search ID
+   * @param {Object} data - Fields to change (name, query, sort, is_shared)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - Requesting user ID
+   * @returns {Promise<Object>} - Updated saved search
+   */
+  async updateSavedSearch(savedSearchId, data, tenantId, userId) {
+    try {
+      const savedSearch = await this.findUsableSavedSearch(savedSearchId, tenantId, userId);
+
+      if (savedSearch.user_id.toString() !== userId.toString()) {
+        throw new CustomError(ERROR_MESSAGES.SAVED_SEARCH.NOT_OWNER, HTTP_STATUS.FORBIDDEN);
+      }
+
+      if (data.query !== undefined) {
+        parseSearchQuery(data.query);
+      }
+
+      ['name', 'query', 'sort', 'is_shared'].forEach(field => {
+        if (data[field] !== undefined) {
+          savedSearch[field] = data[field];
+        }
+      });
+
+      try {
+        await savedSearch.save();
+      } catch (error) {
+        throw this.mapWriteError(error);
+      }
+
+      await savedSearch.populate('user_id', 'email');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SAVED_SEARCH.UPDATED,
+        data: this.formatSavedSearch(savedSearch, userId)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a saved search (owner, or an admin removing a shared search)
+   * @param {string} savedSearchId - Saved search ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} requester - Requesting user context (id, role)
+   * @returns {Promise<Object>} - Deletion result
+   */
+  async deleteSavedSearch(savedSearchId, tenantId, requester) {
+    try {
+      const savedSearch = await this.findUsableSavedSearch(savedSearchId, tenantId, requester.id);
+
+      if (savedSearch.user_id.toString() !== requester.id && requester.role !== ROLES.ADMIN) {
+        throw new CustomError(ERROR_MESSAGES.SAVED_SEARCH.NOT_OWNER, HTTP_STATUS.FORBIDDEN);
+      }
+
+      await SavedSearch.deleteOne({ _id: savedSearch._id });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SAVED_SEARCH.DELETED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new SavedSearchService();
@@ -0,0 +1,199 @@
+const { Note, ShareLink, Tenant } = require('../models');
+const notesService = require('./notesService');
+const loginThrottleService = require('./loginThrottleService');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { comparePassword, hashPassword } = require('../utils/bcrypt');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, SHARE_LINKS } = require('../utils/constants');
+
+class ShareLinkService {
+  /**
+   * Format a share link for responses (never includes the token or password hash)
+   * @param {Object} link - ShareLink document
+   * @returns {Object} - Share link data
+   */
+  formatShareLink(link) {
+    return {
+      id: link._id,
+      note_id: link.note_id,
+      status: link.status,
+      password_protected: Boolean(link.password_hash),
+      created_by: link.created_by && link.created_by.email
+        ? { id: link.created_by._id, email: link.created_by.email }
+        : link.created_by,
+      expires_at: link.expires_at,
+      revoked_at: link.revoked_at,
+      view_count: link.view_count,
+      last_viewed_at: link.last_viewed_at,
+      created_at: link.created_at
+    };
+  }
+
+  /**
+   * Create a public link to a note (owner or admin)
+   * The token is only returned here; the database keeps its hash
+   * @param {string} noteId - Note ID
+   * @param {Object} data - Link options (expires_in_days, password)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @param {string} createdById - ID of user creating the link
+   * @returns {Promise<Object>} - Created link with its token
+   */
+  async createShareLink(noteId, data, tenantId, userId = null, createdById = null) {
+    try {
+      const note = await notesService.findShareableNote(noteId, tenantId, userId);
+      const { expires_in_days: expiresInDays, password } = data;
+
+      const token = generateSecureToken(SHARE_LINKS.TOKEN_BYTES);
+
+      const link = await ShareLink.create({
+        tenant_id: tenantId,
+        note_id: note._id,
+        token_hash: hashToken(token),
+        password_hash: password ? await hashPassword(password) : null,
+        created_by: createdById || userId,
+        expires_at: expiresInDays
+          ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+          : null
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SHARE_LINK.CREATED,
+        data: {
+          ...this.formatShareLink(link),
+          token,
+          path: `/api/public/notes/${token}`
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * List the public links of a note (owner or admin)
+   * @param {string} noteId - Note ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Share links
+   */
+  async getShareLinks(noteId, tenantId, userId = null) {
+    try {
+      const note = await notesService.findShareableNote(noteId, tenantId, userId);
+
+      const links = await ShareLink.find({ tenant_id: tenantId, note_id: note._id })
+        .populate('created_by', 'email')
+        .sort({ created_at: -1 });
+
+      return {
+        success: true,
+        data: {
+          note_id: note._id,
+          links: links.map(link => this.formatShareLink(link))
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a public link of a note (owner or admin)
+   * @param {string} noteId - Note ID
+   * @param {string} linkId - Share link ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role)
+   * @returns {Promise<Object>} - Revoked link
+   */
+  async revokeShareLink(noteId, linkId, tenantId, userId = null) {
+    try {
+      const note = await notesService.findShareableNote(noteId, tenantId, userId);
+
+      const link = await ShareLink.findOneAndUpdate(
+        { _id: linkId, tenant_id: tenantId, note_id: note._id, revoked_at: null },
+        { revoked_at: new Date() },
+        { new: true }
+      );
+
+      if (!link) {
+        throw new Error(ERROR_MESSAGES.SHARE_LINK.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SHARE_LINK.REVOKED,
+        data: this.formatShareLink(link)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a public link to a read-only view of its note and count the view
+   * Unknown, expired and revoked links, trashed notes and inactive tenants all look the same
+   * @param {string} token - Link token
+   * @param {string} password - Link password (required for protected links)
+   * @param {Object} viewer - Authenticated user context, if any
+   * @returns {Promise<Object>} - Sanitized note
+   */
+  async getPublicNote(token, password = null, viewer = null) {
+    try {
+      const link = await ShareLink.findOne(ShareLink.activeFilter({ token_hash: hashToken(token) }));
+      if (!link) {
+        throw new CustomError(ERROR_MESSAGES.SHARE_LINK.INVALID, HTTP_STATUS.NOT_FOUND);
+      }
+
+      const [note, tenant] = await Promise.all([
+        Note.findOne({ _id: link.note_id, tenant_id: link.tenant_id, is_deleted: false }),
+        Tenant.findOne({ _id: link.tenant_id, is_active: true }).select('name')
+      ]);
+
+      if (!note || !tenant) {
+        throw new CustomError(ERROR_MESSAGES.SHARE_LINK.INVALID, HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (link.password_hash) {
+        if (!password) {
+          throw new CustomError(ERROR_MESSAGES.SHARE_LINK.PASSWORD_REQUIRED, HTTP_STATUS.UNAUTHORIZED);
+        }
+
+        // Guesses are throttled per link with the same backoff as sign-in
+        await loginThrottleService.assertCanAttemptShareLink(link._id);
+        if (!(await comparePassword(password, link.password_hash))) {
+          await loginThrottleService.recordShareLinkFailure(link._id);
+          throw new CustomError(ERROR_MESSAGES.SHARE_LINK.PASSWORD_INVALID, HTTP_STATUS.UNAUTHORIZED);
+        }
+        await loginThrottleService.recordShareLinkSuccess(link._id);
+      }
+
+      // The link's creator previewing it does not count as a view
+      if (!viewer || viewer.id !== link.created_by.toString()) {
+        await ShareLink.updateOne(
+          { _id: link._id },
+          { $inc: { view_count: 1 }, $set: { last_viewed_at: new Date() } }
+        );
+      }
+
+      return {
+        success: true,
+        data: {
+          note: {
+            title: note.title,
+            content: note.content,
+            tags: note.tags,
+            created_at: note.created_at,
+            updated_at: note.updated_at
+          },
+          shared_by: tenant.name,
+          expires_at: link.expires_at
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new ShareLinkService();
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+/**
+ * Storage drivers share one interface:
+ *   put(key, buffer, { contentType }) -> Promise<void>
+ *   get(key) -> Promise<Readable> (rejects with code 'ENOENT' when the object is missing)
+ *   delete(key) -> Promise<void> (missing objects are ignored)
+ */
+
+/**
+ * Local filesystem driver - stores each object as a file under a root directory
+ * @param {Object} options - Driver options
+ * @param {string} options.directory - Root directory
+ * @returns {Object} - Storage driver
+ */
+const createLocalStorageDriver = ({ directory }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the server, but never let one escape the root directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      await fsPromises.writeFile(filePath, buffer);
+    },
+    async get(key) {
+      const filePath = resolveKey(key);
+      await fsPromises.access(filePath);
+      return fs.createReadStream(filePath);
+    },
+    async delete(key) {
+      await fsPromises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+/**
+ * S3-compatible driver - works with any client exposing putObject / getObject / deleteObject
+ * (AWS SDK, MinIO, R2...), so the SDK stays the deployer's choice
+ * @param {Object} options - Driver options
+ * @param {Object} options.client - Object storage client
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.prefix - Key prefix (optional)
+ * @returns {Object} - Storage driver
+ */
+const createS3StorageDriver = ({ client, bucket, prefix = '' }) => {
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+    async put(key, buffer, { contentType } = {}) {
+      await client.putObject({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType
+      });
+    },
+    async get(key) {
+      try {
+        const object = await client.getObject({ Bucket: bucket, Key: objectKey(key) });
+        return object.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.code === 'NoSuchKey') {
+          error.code = 'ENOENT';
+        }
+        throw error;
+      }
+    },
+    async delete(key) {
+      await client.deleteObject({ Bucket: bucket, Key: objectKey(key) });
+    }
+  };
+};
+
+module.exports = {
+  createLocalStorageDriver,
+  createS3StorageDriver
+};
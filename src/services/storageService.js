@@ -0,0 +1,82 @@
+const path = require('path');
+const { createLocalStorageDriver } = require('./storageDrivers');
+
+class StorageService {
+  constructor() {
+    // Driver factories by name; register more (e.g. s3 with a configured client) with registerDriver
+    this.factories = {
+      local: () => createLocalStorageDriver({
+        directory: process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads')
+      })
+    };
+    this.driver = null;
+  }
+
+  /**
+   * Register a storage driver factory
+   * @param {string} name - Driver name (matches STORAGE_DRIVER)
+   * @param {Function} factory - Returns an object with async put, get and delete methods
+   */
+  registerDriver(name, factory) {
+    this.factories[name] = factory;
+    this.driver = null;
+  }
+
+  /**
+   * Replace the active driver (useful in tests)
+   * @param {Object} driver - Object with async put, get and delete methods
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Resolve the active driver from STORAGE_DRIVER
+   * @returns {Object} - Storage driver
+   */
+  getDriver() {
+    if (!this.driver) {
+      const name = process.env.STORAGE_DRIVER || 'local';
+      const factory = this.factories[name];
+      if (!factory) {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+      this.driver = factory();
+    }
+    return this.driver;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - Content
+   * @param {Object} options - Options (contentType)
+   */
+  async put(key, buffer, options = {}) {
+    await this.getDriver().put(key, buffer, options);
+  }
+
+  /**
+   * Open an object for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} - Content stream
+   */
+  async get(key) {
+    return await this.getDriver().get(key);
+  }
+
+  /**
+   * Delete objects, logging failures so a storage hiccup never blocks the caller
+   * @param {Array<string>} keys - Storage keys
+   */
+  async deleteMany(keys) {
+    const driver = this.getDriver();
+    const results = await Promise.allSettled(keys.map(key => driver.delete(key)));
+
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => console.error('Storage delete error:', result.reason));
+  }
+}
+
+module.exports = new StorageService();
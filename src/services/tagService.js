@@ -0,0 +1,313 @@
+const mongoose = require('mongoose');
+const { Note, Tag } = require('../models');
+const notesService = require('./notesService');
+const { escapeRegex } = require('../utils/search');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, TAGS } = require('../utils/constants');
+
+class TagService {
+  /**
+   * Normalize a tag name the way Note.tags stores it
+   * @param {string} name - Tag name
+   * @returns {string} - Trimmed, lowercase tag
+   */
+  normalizeTag(name) {
+    return String(name).trim().toLowerCase();
+  }
+
+  /**
+   * Format a tag for responses
+   * @param {string} name - Tag name
+   * @param {number} count - Number of visible notes using the tag
+   * @param {Object} meta - Tag document with color and description (optional)
+   * @returns {Object} - Tag data
+   */
+  formatTag(name, count, meta = null) {
+    return {
+      name,
+      count,
+      color: meta ? meta.color : null,
+      description: meta ? meta.description : ''
+    };
+  }
+
+  /**
+   * Count tag usage across the notes a user can see
+   * Trashed notes are not counted; archived notes are
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @param {string} prefix - Only count tags starting with this prefix (optional)
+   * @returns {Promise<Array>} - [{ name, count }] by count, then name
+   */
+  async countTags(tenantId, userId = null, prefix = null) {
+    // Aggregations do not cast, so IDs are converted here
+    const match = {
+      tenant_id: new mongoose.Types.ObjectId(String(tenantId)),
+      is_deleted: false,
+      ...notesService.accessFilter(userId && new mongoose.Types.ObjectId(String(userId)))
+    };
+    const prefixMatch = prefix ? { tags: { $regex: `^${escapeRegex(prefix)}` } } : null;
+
+    const counts = await Note.aggregate([
+      { $match: prefixMatch ? { ...match, ...prefixMatch } : match },
+      { $unwind: '$tags' },
+      ...(prefixMatch ? [{ $match: prefixMatch }] : []),
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ]);
+
+    return counts.map(({ _id, count }) => ({ name: _id, count }));
+  }
+
+  /**
+   * Check whether a tag is used by any note (trashed included) or has metadata
+   * @param {string} tenantId - Tenant ID
+   * @param {string} name - Normalized tag name
+   * @returns {Promise<boolean>} - Whether the tag exists
+   */
+  async tagExists(tenantId, name) {
+    const [used, catalogued] = await Promise.all([
+      Note.exists({ tenant_id: tenantId, tags: name }),
+      Tag.exists({ tenant_id: tenantId, name })
+    ]);
+
+    return Boolean(used || catalogued);
+  }
+
+  /**
+   * List the tenant's tags with usage counts
+   * Tags given a color or description are listed even when no visible note uses them
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: counts only own or shared notes)
+   * @param {Object} options - Query options (sort: count | name)
+   * @returns {Promise<Object>} - Tags
+   */
+  async getTags(tenantId, userId = null, options = {}) {
+    try {
+      const { sort = 'count' } = options;
+
+      const [counts, catalog] = await Promise.all([
+        this.countTags(tenantId, userId),
+        Tag.find({ tenant_id: tenantId })
+      ]);
+
+      const metaByName = new Map(catalog.map(tag => [tag.name, tag]));
+      const tags = counts.map(({ name, count }) => this.formatTag(name, count, metaByName.get(name)));
+
+      const counted = new Set(counts.map(({ name }) => name));
+      catalog
+        .filter(tag => !counted.has(tag.name))
+        .forEach(tag => tags.push(this.formatTag(tag.name, 0, tag)));
+
+      tags.sort((a, b) => (sort === 'name' ? 0 : b.count - a.count) || a.name.localeCompare(b.name));
+
+      return {
+        success: true,
+        data: {
+          tags,
+          total_count: tags.length
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Suggest tags starting with a prefix, most used first
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID (optional, for member role: own or shared notes)
+   * @param {Object} options - Query options (prefix, limit)
+   * @returns {Promise<Object>} - Matching tags
+   */
+  async autocompleteTags(tenantId, userId = null, options = {}) {
+    try {
+      const { limit = TAGS.AUTOCOMPLETE_LIMIT } = options;
+      const prefix = this.normalizeTag(options.prefix || '');
+
+      const [counts, catalog] = await Promise.all([
+        this.countTags(tenantId, userId, prefix),
+        Tag.find({
+          tenant_id: tenantId,
+          ...(prefix && { name: { $regex: `^${escapeRegex(prefix)}` } })
+        }).sort({ name: 1 })
+      ]);
+
+      const metaByName = new Map(catalog.map(tag => [tag.name, tag]));
+      const counted = new Set(counts.map(({ name }) => name));
+
+      // Catalogued tags nobody uses yet come after the used ones
+      const tags = [
+        ...counts.map(({ name, count }) => this.formatTag(name, count, metaByName.get(name))),
+        ...catalog.filter(tag => !counted.has(tag.name)).map(tag => this.formatTag(tag.name, 0, tag))
+      ].slice(0, limit);
+
+      return {
+        success: true,
+        data: {
+          prefix,
+          tags
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Set a tag's color and/or description, cataloguing the tag if needed
+   * @param {string} name - Tag name
+   * @param {Object} data - Fields to change (color: hex or null, description)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Updated tag
+   */
+  async updateTag(name, data, tenantId) {
+    try {
+      const tagName = this.normalizeTag(name);
+
+      const fields = {};
+      if (data.color !== undefined) {
+        fields.color = data.color;
+      }
+      if (data.description !== undefined) {
+        fields.description = data.description;
+      }
+
+      const [tag, count] = await Promise.all([
+        Tag.findOneAndUpdate(
+          { tenant_id: tenantId, name: tagName },
+          { $set: fields },
+          { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        ),
+        Note.countDocuments({ tenant_id: tenantId, is_deleted: false, tags: tagName })
+      ]);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TAG.UPDATED,
+        data: this.formatTag(tag.name, count, tag)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a tag on every note in the tenant (trashed notes included) and move its metadata
+   * Notes keep their updated_at (this is tenant maintenance, not an edit) but get a new revision,
+   * so their ETag changes and stale copies cannot write the old tag back
+   * @param {string} name - Current tag name
+   * @param {string} newName - New tag name (must not exist yet; merge into existing tags instead)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Rename result
+   */
+  async renameTag(name, newName, tenantId) {
+    try {
+      const from = this.normalizeTag(name);
+      const to = this.normalizeTag(newName);
+
+      if (from === to) {
+        throw new CustomError(ERROR_MESSAGES.TAG.SAME_NAME, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const [sourceExists, targetExists] = await Promise.all([
+        this.tagExists(tenantId, from),
+        this.tagExists(tenantId, to)
+      ]);
+
+      if (!sourceExists) {
+        throw new Error(ERROR_MESSAGES.TAG.NOT_FOUND);
+      }
+      if (targetExists) {
+        throw new CustomError(ERROR_MESSAGES.TAG.NAME_TAKEN, HTTP_STATUS.CONFLICT);
+      }
+
+      // Positional rewrite keeps the tag where it was in each note's list
+      const result = await Note.updateMany(
+        { tenant_id: tenantId, tags: from },
+        { $set: { 'tags.$[tag]': to }, $inc: { revision: 1 } },
+        { arrayFilters: [{ tag: from }], timestamps: false }
+      );
+      await Tag.updateOne({ tenant_id: tenantId, name: from }, { $set: { name: to } });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TAG.RENAMED,
+        data: {
+          from,
+          to,
+          notes_updated: result.modifiedCount
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Merge tags into a target tag on every note in the tenant (trashed notes included)
+   * The target keeps its own metadata, or takes that of the first source that has some
+   * Like renames, merges keep updated_at and bump the revision of every note they change
+   * @param {Array<string>} sources - Tags to merge away
+   * @param {string} target - Tag to merge into (created if it does not exist)
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Merge result
+   */
+  async mergeTags(sources, target, tenantId) {
+    try {
+      const into = this.normalizeTag(target);
+      const from = [...new Set(sources.map(source => this.normalizeTag(source)))];
+
+      if (from.includes(into)) {
+        throw new CustomError(ERROR_MESSAGES.TAG.TARGET_IN_SOURCES, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const existing = await Promise.all(from.map(source => this.tagExists(tenantId, source)));
+      if (!existing.some(Boolean)) {
+        throw new Error(ERROR_MESSAGES.TAG.NOT_FOUND);
+      }
+
+      // $addToSet and $pull cannot touch the same array in one update, so this takes two passes;
+      // the target is added first so a note is never left without it. Only the second pass bumps
+      // the revision: it matches every note the first one did, so each note changes revision once
+      await Note.updateMany(
+        { tenant_id: tenantId, tags: { $in: from } },
+        { $addToSet: { tags: into } },
+        { timestamps: false }
+      );
+      const pulled = await Note.updateMany(
+        { tenant_id: tenantId, tags: { $in: from } },
+        { $pull: { tags: { $in: from } }, $inc: { revision: 1 } },
+        { timestamps: false }
+      );
+
+      const catalog = await Tag.find({ tenant_id: tenantId, name: { $in: [into, ...from] } });
+      if (!catalog.some(tag => tag.name === into)) {
+        const inherited = from.map(source => catalog.find(tag => tag.name === source)).find(Boolean);
+        if (inherited) {
+          await Tag.create({
+            tenant_id: tenantId,
+            name: into,
+            color: inherited.color,
+            description: inherited.description
+          });
+        }
+      }
+      await Tag.deleteMany({ tenant_id: tenantId, name: { $in: from } });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TAG.MERGED,
+        data: {
+          sources: from,
+          target: into,
+          notes_updated: pulled.modifiedCount
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new TagService();
@@ -1,7 +1,104 @@
-const { Tenant, User, Note } = require('../models');
-const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, SUBSCRIPTION_PLANS, ROLES } = require('../utils/constants');
+const { Tenant, User, Note, Notebook, Notification, SavedSearch, Comment, ShareLink, Attachment, Invitation } = require('../models');
+const authService = require('./authService');
+const tokenService = require('./tokenService');
+const notesService = require('./notesService');
+const passwordService = require('./passwordService');
+const loginThrottleService = require('./loginThrottleService');
+const { resolvePasswordPolicy, validatePassword } = require('../utils/passwordPolicy');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, SUBSCRIPTION_PLANS, ROLES, TENANT_SIGNUP } = require('../utils/constants');
 
 class TenantService {
+  /**
+   * Create a tenant together with its first admin and sign the admin in
+   * If the admin cannot be created the tenant is deleted again, so a failure leaves nothing behind
+   * (works on standalone MongoDB, which has no transactions)
+   * @param {Object} signupData - Signup data (name, slug, email, password)
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - Created tenant and authentication result
+   */
+  async signup({ name, slug, email, password }, context = {}) {
+    try {
+      const normalizedSlug = slug.trim().toLowerCase();
+      const normalizedEmail = email.toLowerCase();
+
+      if (TENANT_SIGNUP.RESERVED_SLUGS.includes(normalizedSlug)) {
+        throw new CustomError(ERROR_MESSAGES.TENANT.SLUG_RESERVED, HTTP_STATUS.CONFLICT);
+      }
+
+      // New tenants start with the default policy
+      passwordService.throwIfViolations(
+        validatePassword(password, resolvePasswordPolicy(), { email: normalizedEmail })
+      );
+
+      const [slugTaken, emailTaken] = await Promise.all([
+        Tenant.exists({ slug: normalizedSlug }),
+        User.exists({ email: normalizedEmail })
+      ]);
+
+      if (slugTaken) {
+        throw new CustomError(ERROR_MESSAGES.TENANT.SLUG_TAKEN, HTTP_STATUS.CONFLICT);
+      }
+      if (emailTaken) {
+        throw new CustomError(ERROR_MESSAGES.TENANT.EMAIL_TAKEN, HTTP_STATUS.CONFLICT);
+      }
+
+      let tenant;
+      let user;
+      try {
+        tenant = await Tenant.create({
+          slug: normalizedSlug,
+          name,
+          subscription_plan: SUBSCRIPTION_PLANS.FREE
+        });
+
+        try {
+          // Plain password is hashed by the User pre-save hook
+          user = await User.create({
+            tenant_id: tenant._id,
+            email: normalizedEmail,
+            password_hash: password,
+            role: ROLES.ADMIN
+          });
+        } catch (error) {
+          // Transactions need a replica set, so the tenant is removed by hand instead
+          await Tenant.deleteOne({ _id: tenant._id });
+          throw error;
+        }
+      } catch (error) {
+        // Lost a race with a concurrent signup for the same slug or email
+        if (error.code === 11000) {
+          const message = error.keyPattern && error.keyPattern.slug
+            ? ERROR_MESSAGES.TENANT.SLUG_TAKEN
+            : ERROR_MESSAGES.TENANT.EMAIL_TAKEN;
+          throw new CustomError(message, HTTP_STATUS.CONFLICT);
+        }
+        throw error;
+      }
+
+      await user.populate('tenant_id', 'slug name subscription_plan is_active');
+      const result = await authService.completeLogin(user, context);
+
+      return {
+        ...result,
+        message: SUCCESS_MESSAGES.TENANT.CREATED,
+        data: {
+          tenant: {
+            id: tenant._id,
+            slug: tenant.slug,
+            name: tenant.name,
+            subscription_plan: tenant.subscription_plan,
+            note_limit: tenant.note_limit,
+            created_at: tenant.created_at
+          },
+          ...result.data
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   /**
    * Get tenant information
    * @param {string} tenantId - Tenant ID
@@ -115,9 +212,10 @@ class TenantService {
    * Get tenant users (Admin only)
    * @param {string} tenantId - Tenant ID
    * @param {string} requestingUserId - ID of user making request
+   * @param {Object} options - Query options (include_inactive)
    * @returns {Promise<Object>} - Tenant users
    */
-  async getTenantUsers(tenantId, requestingUserId) {
+  async getTenantUsers(tenantId, requestingUserId, options = {}) {
     try {
       // Verify requesting user is admin of the tenant
       const requestingUser = await User.findOne({
@@ -132,23 +230,19 @@ class TenantService {
       }
 
       // Get all users for the tenant
-      const users = await User.find({
-        tenant_id: tenantId,
-        is_active: true
-      }).select('-password_hash')
+      const filter = { tenant_id: tenantId };
+      if (!options.include_inactive) {
+        filter.is_active = true;
+      }
+
+      const users = await User.find(filter).select('-password_hash')
         .populate('tenant_id', 'slug name')
         .sort({ created_at: -1 });
 
       return {
         success: true,
         data: {
-          users: users.map(user => ({
-            id: user._id,
-            email: user.email,
-            role: user.role,
-            last_login: user.last_login,
-            created_at: user.created_at
-          })),
+          users: users.map(user => this.formatUser(user)),
           total_count: users.length
         }
       };
@@ -157,6 +251,426 @@ class TenantService {
     }
   }
 
+  /**
+   * Format a tenant user for responses
+   * @param {Object} user - User document
+   * @returns {Object} - Public user data
+   */
+  formatUser(user) {
+    return {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      is_active: user.is_active,
+      last_login: user.last_login,
+      created_at: user.created_at
+    };
+  }
+
+  /**
+   * Find a user of the tenant or throw
+   * @param {string} tenantId - Tenant ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - User document
+   */
+  async findTenantUser(tenantId, userId) {
+    const user = await User.findOne({ _id: userId, tenant_id: tenantId });
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+    }
+    return user;
+  }
+
+  /**
+   * Ensure a change would not leave the tenant without an active admin
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} user - User about to lose admin access
+   * @throws {CustomError} - 409 when the user is the last active admin
+   */
+  async assertNotLastActiveAdmin(tenantId, user) {
+    if (user.role !== ROLES.ADMIN || !user.is_active) {
+      return;
+    }
+
+    const otherAdmins = await User.countDocuments({
+      tenant_id: tenantId,
+      role: ROLES.ADMIN,
+      is_active: true,
+      _id: { $ne: user._id }
+    });
+
+    if (otherAdmins === 0) {
+      throw new CustomError(ERROR_MESSAGES.USER.LAST_ADMIN, HTTP_STATUS.CONFLICT);
+    }
+  }
+
+  /**
+   * Demote or deactivate a user without ever leaving the tenant without an active admin
+   * The count-then-write check alone races (two admins demoting each other both pass it), so the write
+   * is conditional on the state that was checked and the admins are counted again afterwards; if none
+   * remain, the write is rolled back. Concurrent demotions can then both fail, but never both succeed
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} user - User document as read before the change
+   * @param {Object} changes - Fields to set (role and/or is_active)
+   * @returns {Promise<Object>} - Updated user document
+   * @throws {CustomError} - 409 when the user is the last active admin or changed concurrently
+   */
+  async revokeAdminAccess(tenantId, user, changes) {
+    await this.assertNotLastActiveAdmin(tenantId, user);
+
+    const previous = { role: user.role, is_active: user.is_active };
+    const updated = await User.findOneAndUpdate(
+      { _id: user._id, tenant_id: tenantId, ...previous },
+      changes,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new CustomError(ERROR_MESSAGES.USER.CONCURRENT_CHANGE, HTTP_STATUS.CONFLICT);
+    }
+
+    if (previous.role === ROLES.ADMIN && previous.is_active) {
+      const remainingAdmins = await User.countDocuments({ tenant_id: tenantId, role: ROLES.ADMIN, is_active: true });
+      if (remainingAdmins === 0) {
+        await User.updateOne({ _id: user._id }, previous);
+        throw new CustomError(ERROR_MESSAGES.USER.LAST_ADMIN, HTTP_STATUS.CONFLICT);
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Change a tenant user's role (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} targetUserId - ID of user to update
+   * @param {string} role - New role
+   * @returns {Promise<Object>} - Updated user
+   */
+  async updateUserRole(tenantId, targetUserId, role) {
+    try {
+      const user = await this.findTenantUser(tenantId, targetUserId);
+
+      if (user.role === role) {
+        return {
+          success: true,
+          message: SUCCESS_MESSAGES.USER.ROLE_UPDATED,
+          data: this.formatUser(user)
+        };
+      }
+
+      let updated = user;
+      if (role !== ROLES.ADMIN) {
+        updated = await this.revokeAdminAccess(tenantId, user, { role });
+      } else {
+        user.role = role;
+        await user.save();
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER.ROLE_UPDATED,
+        data: this.formatUser(updated)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate a tenant user and revoke all of their tokens (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} targetUserId - ID of user to deactivate
+   * @param {string} requestingUserId - ID of admin making request
+   * @returns {Promise<Object>} - Deactivation result
+   */
+  async deactivateUser(tenantId, targetUserId, requestingUserId) {
+    try {
+      if (targetUserId.toString() === requestingUserId.toString()) {
+        throw new Error(ERROR_MESSAGES.USER.CANNOT_MODIFY_SELF);
+      }
+
+      const user = await this.findTenantUser(tenantId, targetUserId);
+      const updated = await this.revokeAdminAccess(tenantId, user, { is_active: false });
+
+      await tokenService.revokeAllUserTokens(user._id, 'admin_revoked');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER.DEACTIVATED,
+        data: this.formatUser(updated)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Reactivate a deactivated tenant user (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} targetUserId - ID of user to reactivate
+   * @returns {Promise<Object>} - Reactivation result
+   */
+  async reactivateUser(tenantId, targetUserId) {
+    try {
+      const user = await this.findTenantUser(tenantId, targetUserId);
+
+      user.is_active = true;
+      await user.save();
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER.REACTIVATED,
+        data: this.formatUser(user)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently remove a tenant user (Admin only)
+   * Their notes, notebooks, comments, attachments and invitations are transferred so nothing is orphaned;
+   * their public share links are revoked
+   * @param {string} tenantId - Tenant ID
+   * @param {string} targetUserId - ID of user to remove
+   * @param {string} requestingUserId - ID of admin making request
+   * @param {string} transferToUserId - Receives the removed user's content (defaults to the admin)
+   * @returns {Promise<Object>} - Removal result
+   */
+  async removeUser(tenantId, targetUserId, requestingUserId, transferToUserId = null) {
+    try {
+      if (targetUserId.toString() === requestingUserId.toString()) {
+        throw new Error(ERROR_MESSAGES.USER.CANNOT_MODIFY_SELF);
+      }
+
+      const user = await this.findTenantUser(tenantId, targetUserId);
+
+      const recipientId = transferToUserId || requestingUserId;
+      if (recipientId.toString() === user._id.toString()) {
+        throw new Error(ERROR_MESSAGES.USER.INVALID_TRANSFER_TARGET);
+      }
+
+      const recipient = await User.findOne({ _id: recipientId, tenant_id: tenantId, is_active: true });
+      if (!recipient) {
+        throw new Error(ERROR_MESSAGES.USER.INVALID_TRANSFER_TARGET);
+      }
+
+      // Deactivate first, under the last-admin guard, so a concurrent demotion cannot leave no admin
+      if (user.is_active) {
+        await this.revokeAdminAccess(tenantId, user, { is_active: false });
+      }
+
+      const transfer = await Note.updateMany(
+        { tenant_id: tenantId, user_id: user._id },
+        { user_id: recipient._id }
+      );
+      await this.transferNotebooks(tenantId, user, recipient._id);
+
+      // Public links stop working with their creator; the records stay, like any revoked link
+      const revokedLinks = await ShareLink.updateMany(
+        { tenant_id: tenantId, created_by: user._id, revoked_at: null },
+        { revoked_at: new Date() }
+      );
+
+      // Everything else the user created moves to the recipient with the notes, so nothing points at a deleted user
+      await ShareLink.updateMany({ tenant_id: tenantId, created_by: user._id }, { created_by: recipient._id });
+      await Comment.updateMany(
+        { tenant_id: tenantId, author_id: user._id },
+        { author_id: recipient._id },
+        { timestamps: false }
+      );
+      await Attachment.updateMany({ tenant_id: tenantId, uploaded_by: user._id }, { uploaded_by: recipient._id });
+      await Invitation.updateMany({ tenant_id: tenantId, invited_by: user._id }, { invited_by: recipient._id });
+
+      // The recipient now owns notes that may have been shared with them, and the removed user keeps no grants
+      await Note.updateMany(
+        { tenant_id: tenantId, user_id: recipient._id, 'shares.user_id': recipient._id },
+        { $pull: { shares: { user_id: recipient._id } } }
+      );
+      await notesService.removeUserShares(tenantId, user._id);
+      await Notification.deleteMany({ tenant_id: tenantId, user_id: user._id });
+      await SavedSearch.deleteMany({ tenant_id: tenantId, user_id: user._id });
+
+      await tokenService.revokeAllUserTokens(user._id, 'admin_revoked');
+      await User.deleteOne({ _id: user._id });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER.REMOVED,
+        data: {
+          id: user._id,
+          email: user.email,
+          notes_transferred_to: recipient._id,
+          notes_transferred: transfer.modifiedCount,
+          share_links_revoked: revokedLinks.modifiedCount
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a removed user's notebooks to another user
+   * Names that clash with the recipient's own notebooks get the previous owner's email appended
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} fromUser - User whose notebooks are transferred
+   * @param {string} toUserId - Recipient user ID
+   */
+  async transferNotebooks(tenantId, fromUser, toUserId) {
+    try {
+      const notebooks = await Notebook.find({ tenant_id: tenantId, user_id: fromUser._id });
+
+      for (const notebook of notebooks) {
+        try {
+          await Notebook.updateOne({ _id: notebook._id }, { user_id: toUserId });
+        } catch (error) {
+          if (error.code !== 11000) {
+            throw error;
+          }
+          await Notebook.updateOne(
+            { _id: notebook._id },
+            { user_id: toUserId, name: `${notebook.name} (${fromUser.email})`.slice(0, 100) }
+          );
+        }
+      }
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a tenant user (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} targetUserId - ID of user whose sessions are revoked
+   * @returns {Promise<Object>} - Revocation result
+   */
+  async revokeUserSessions(tenantId, targetUserId) {
+    try {
+      const user = await User.findOne({ _id: targetUserId, tenant_id: tenantId });
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      await tokenService.revokeAllUserTokens(user._id, 'admin_revoked');
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER.SESSIONS_REVOKED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Clear failed-login delays and lockouts for a tenant user (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} targetUserId - ID of user to unlock
+   * @returns {Promise<Object>} - Unlock result
+   */
+  async unlockUser(tenantId, targetUserId) {
+    try {
+      const user = await User.findOne({ _id: targetUserId, tenant_id: tenantId });
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      const previousStatus = await loginThrottleService.getAccountStatus(user.email);
+      await loginThrottleService.unlockAccount(user.email);
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.USER.UNLOCKED,
+        data: {
+          id: user._id,
+          email: user.email,
+          was_locked: previousStatus.locked,
+          cleared_failures: previousStatus.failure_count
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Get tenant settings
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Tenant settings
+   */
+  async getTenantSettings(tenantId) {
+    try {
+      const tenant = await Tenant.findById(tenantId);
+      if (!tenant) {
+        throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        data: this.formatSettings(tenant)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Update tenant settings (Admin only)
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} settings - Settings to update (partial)
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async updateTenantSettings(tenantId, settings = {}) {
+    try {
+      const update = {};
+
+      if (settings.password_policy) {
+        const allowedKeys = Object.keys(resolvePasswordPolicy());
+        Object.entries(settings.password_policy)
+          .filter(([key]) => allowedKeys.includes(key))
+          .forEach(([key, value]) => {
+            update[`password_policy.${key}`] = value;
+          });
+      }
+
+      if (settings.trash_retention_days !== undefined) {
+        update.trash_retention_days = settings.trash_retention_days;
+      }
+
+      const tenant = await Tenant.findByIdAndUpdate(
+        tenantId,
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+
+      if (!tenant) {
+        throw new Error(ERROR_MESSAGES.TENANT.NOT_FOUND);
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TENANT.SETTINGS_UPDATED,
+        data: this.formatSettings(tenant)
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Format tenant settings for responses
+   * @param {Object} tenant - Tenant document
+   * @returns {Object} - Settings
+   */
+  formatSettings(tenant) {
+    return {
+      password_policy: resolvePasswordPolicy(tenant.password_policy),
+      trash_retention_days: tenant.trash_retention_days
+    };
+  }
+
   /**
    * Get subscription status and limits
    * @param {string} tenantId - Tenant ID
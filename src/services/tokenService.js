@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { User, RefreshToken, RevokedToken, Session } = require('../models');
+const { generateToken } = require('../utils/jwt');
+const { generateSecureToken, hashToken } = require('../utils/crypto');
+const { describeDevice } = require('../utils/requestContext');
+const { AUTH_TOKENS, ERROR_MESSAGES } = require('../utils/constants');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRE || AUTH_TOKENS.ACCESS_TOKEN_EXPIRES_IN;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || AUTH_TOKENS.REFRESH_TOKEN_TTL_DAYS;
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+class TokenService {
+  /**
+   * Build the JWT payload for an access token
+   * @param {Object} user - User document with populated tenant
+   * @param {string} sessionId - Session the token belongs to
+   * @returns {Object} - Token payload
+   */
+  buildAccessPayload(user, sessionId) {
+    return {
+      sid: sessionId,
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      tenant_id: user.tenant_id._id,
+      tenant_slug: user.tenant_id.slug,
+      tv: user.token_version || 0,
+      jti: crypto.randomUUID()
+    };
+  }
+
+  /**
+   * Issue a short-lived access token and a persisted refresh token
+   * @param {Object} user - User document with populated tenant
+   * @param {Object} context - Client context (user_agent, ip)
+   * @param {Object} session - Existing session (omit for a new login)
+   * @returns {Promise<Object>} - Token pair
+   */
+  async issueTokens(user, context = {}, session = null) {
+    try {
+      const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+      if (!session) {
+        session = await Session.create({
+          tenant_id: user.tenant_id._id,
+          user_id: user._id,
+          user_agent: context.user_agent,
+          device: describeDevice(context.user_agent),
+          ip_address: context.ip,
+          expires_at: expiresAt
+        });
+      } else {
+        session = await Session.findByIdAndUpdate(
+          session._id,
+          { last_seen_at: new Date(), ip_address: context.ip, expires_at: expiresAt },
+          { new: true }
+        );
+      }
+
+      const token = generateToken(
+        this.buildAccessPayload(user, session._id.toString()),
+        ACCESS_TOKEN_EXPIRES_IN
+      );
+
+      const refreshToken = generateSecureToken(48);
+
+      const record = await RefreshToken.create({
+        tenant_id: user.tenant_id._id,
+        user_id: user._id,
+        token_hash: hashToken(refreshToken),
+        family_id: session._id.toString(),
+        user_agent: context.user_agent,
+        ip_address: context.ip,
+        expires_at: expiresAt
+      });
+
+      return {
+        token,
+        expires_in: ACCESS_TOKEN_EXPIRES_IN,
+        refresh_token: refreshToken,
+        refresh_token_expires_at: expiresAt,
+        session,
+        record
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * A token that was already rotated indicates theft, so its whole family is revoked
+   * @param {string} refreshToken - Plain refresh token
+   * @param {Object} context - Client context (user_agent, ip)
+   * @returns {Promise<Object>} - New token pair and user
+   */
+  async rotateRefreshToken(refreshToken, context = {}) {
+    try {
+      const tokenHash = hashToken(refreshToken);
+
+      // Atomically claim the token so concurrent requests cannot both rotate it
+      const current = await RefreshToken.findOneAndUpdate(
+        { token_hash: tokenHash, revoked_at: null },
+        { revoked_at: new Date(), revoked_reason: 'rotated' },
+        { new: false }
+      );
+
+      if (!current) {
+        const existing = await RefreshToken.findOne({ token_hash: tokenHash });
+        if (existing && existing.revoked_reason === 'rotated') {
+          await this.revokeSession(existing.family_id, 'reuse_detected');
+          throw new Error(ERROR_MESSAGES.AUTH.REFRESH_TOKEN_REUSED);
+        }
+        throw new Error(ERROR_MESSAGES.AUTH.REFRESH_TOKEN_INVALID);
+      }
+
+      // Families created before sessions existed are not valid ObjectIds
+      const session = mongoose.isValidObjectId(current.family_id)
+        ? await Session.findById(current.family_id)
+        : null;
+      if (current.expires_at <= new Date() || !session || !session.isActive()) {
+        throw new Error(ERROR_MESSAGES.AUTH.REFRESH_TOKEN_INVALID);
+      }
+
+      const user = await User.findOne({
+        _id: current.user_id,
+        tenant_id: current.tenant_id,
+        is_active: true
+      }).populate('tenant_id', 'slug name subscription_plan is_active');
+
+      if (!user || !user.tenant_id || !user.tenant_id.is_active) {
+        await this.revokeSession(session._id, 'admin_revoked');
+        throw new Error(ERROR_MESSAGES.AUTH.REFRESH_TOKEN_INVALID);
+      }
+
+      const tokens = await this.issueTokens(user, {
+        user_agent: context.user_agent || current.user_agent,
+        ip: context.ip || current.ip_address
+      }, session);
+
+      await RefreshToken.updateOne(
+        { _id: current._id },
+        { replaced_by: tokens.record._id }
+      );
+
+      return { user, tokens };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @param {string} refreshToken - Plain refresh token
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<boolean>} - Whether a matching token was found
+   */
+  async revokeRefreshToken(refreshToken, reason = 'logout') {
+    try {
+      const record = await RefreshToken.findOne({ token_hash: hashToken(refreshToken) });
+      if (!record) {
+        return false;
+      }
+
+      await this.revokeSession(record.family_id, reason);
+      return true;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a session and its refresh token family
+   * @param {string} sessionId - Session ID (also the refresh token family)
+   * @param {string} reason - Revocation reason
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    try {
+      if (!sessionId) {
+        return;
+      }
+
+      await Promise.all([
+        mongoose.isValidObjectId(sessionId) && Session.updateOne(
+          { _id: sessionId, revoked_at: null },
+          { revoked_at: new Date(), revoked_reason: reason }
+        ),
+        RefreshToken.revokeFamily(sessionId.toString(), reason)
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Add an access token to the denylist until it expires
+   * @param {Object} auth - Decoded token details (jti, user_id, tenant_id, expires_at)
+   * @param {string} reason - Revocation reason
+   */
+  async revokeAccessToken(auth, reason = 'logout') {
+    try {
+      if (!auth || !auth.jti) {
+        return;
+      }
+
+      await RevokedToken.updateOne(
+        { jti: auth.jti },
+        {
+          $setOnInsert: {
+            jti: auth.jti,
+            user_id: auth.user_id,
+            tenant_id: auth.tenant_id,
+            reason,
+            expires_at: auth.expires_at
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {Object} decoded - Decoded JWT payload
+   * @param {Object} user - User document (must include token_version)
+   * @returns {Promise<boolean>} - Revocation status
+   */
+  async isAccessTokenRevoked(decoded, user) {
+    try {
+      if ((decoded.tv || 0) !== (user.token_version || 0)) {
+        return true;
+      }
+
+      const [denied, session] = await Promise.all([
+        RevokedToken.isRevoked(decoded.jti),
+        decoded.sid ? Session.findById(decoded.sid) : null
+      ]);
+
+      if (denied) {
+        return true;
+      }
+
+      if (decoded.sid) {
+        if (!session || !session.isActive()) {
+          return true;
+        }
+        await this.touchSession(session);
+      }
+
+      return false;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Record session activity, throttled to avoid a write on every request
+   * @param {Object} session - Session document
+   */
+  async touchSession(session) {
+    try {
+      if (Date.now() - session.last_seen_at.getTime() < SESSION_TOUCH_INTERVAL_MS) {
+        return;
+      }
+
+      await Session.updateOne({ _id: session._id }, { last_seen_at: new Date() });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user except one
+   * @param {string} userId - User ID
+   * @param {string} keepSessionId - Session to keep (revokes everything when omitted)
+   * @param {string} reason - Revocation reason
+   */
+  async revokeOtherSessions(userId, keepSessionId, reason = 'logout_all') {
+    try {
+      if (!keepSessionId) {
+        return await this.revokeAllUserTokens(userId, reason);
+      }
+
+      const revocation = { revoked_at: new Date(), revoked_reason: reason };
+
+      await Promise.all([
+        Session.updateMany(
+          { user_id: userId, _id: { $ne: keepSessionId }, revoked_at: null },
+          revocation
+        ),
+        RefreshToken.updateMany(
+          { user_id: userId, family_id: { $ne: keepSessionId.toString() }, revoked_at: null },
+          revocation
+        )
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidate every access and refresh token issued to a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   */
+  async revokeAllUserTokens(userId, reason = 'logout_all') {
+    try {
+      await Promise.all([
+        User.updateOne({ _id: userId }, { $inc: { token_version: 1 } }),
+        Session.revokeAllForUser(userId, reason),
+        RefreshToken.revokeAllForUser(userId, reason)
+      ]);
+    } catch (error) {
+      throw error;
+    }
+  }
+}
+
+module.exports = new TokenService();
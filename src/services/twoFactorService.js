@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { User } = require('../models');
+const { generateToken, verifyToken, TOKEN_AUDIENCES } = require('../utils/jwt');
+const { hashToken } = require('../utils/crypto');
+const { generateSecret, verifyTotp, buildOtpAuthUri } = require('../utils/totp');
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS, ERROR_MESSAGES, SUCCESS_MESSAGES, AUTH_TOKENS } = require('../utils/constants');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'NotesFlow';
+const RECOVERY_CODE_COUNT = 10;
+
+class TwoFactorService {
+  /**
+   * Load a user with the two-factor secrets selected
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID for isolation
+   * @returns {Promise<Object|null>} - User document
+   */
+  findUserWithSecrets(userId, tenantId) {
+    return User.findOne({ _id: userId, tenant_id: tenantId, is_active: true })
+      .select('+password_hash +two_factor.secret +two_factor.pending_secret +two_factor.recovery_codes +two_factor.last_used_step');
+  }
+
+  /**
+   * Generate one-time recovery codes
+   * @returns {Object} - Plain codes for the user and hashes for storage
+   */
+  generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => hashToken(code))
+    };
+  }
+
+  /**
+   * Start enrollment by generating a pending TOTP secret
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Secret and otpauth URI for QR codes
+   */
+  async beginEnrollment(userId, tenantId) {
+    try {
+      const user = await this.findUserWithSecrets(userId, tenantId);
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      if (user.two_factor && user.two_factor.enabled) {
+        throw new CustomError(ERROR_MESSAGES.TWO_FACTOR.ALREADY_ENABLED, HTTP_STATUS.CONFLICT);
+      }
+
+      const secret = generateSecret();
+      await User.updateOne({ _id: user._id }, { 'two_factor.pending_secret': secret });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR.SETUP_STARTED,
+        data: {
+          secret,
+          otpauth_uri: buildOtpAuthUri({ secret, account: user.email, issuer: TOTP_ISSUER })
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Object>} - Recovery codes (shown only once)
+   */
+  async confirmEnrollment(userId, tenantId, code) {
+    try {
+      const user = await this.findUserWithSecrets(userId, tenantId);
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      const pendingSecret = user.two_factor && user.two_factor.pending_secret;
+      if (!pendingSecret) {
+        throw new Error(ERROR_MESSAGES.TWO_FACTOR.SETUP_NOT_STARTED);
+      }
+
+      const step = verifyTotp(pendingSecret, code);
+      if (step === null) {
+        throw new CustomError(ERROR_MESSAGES.TWO_FACTOR.INVALID_CODE, HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      const { codes, hashes } = this.generateRecoveryCodes();
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            'two_factor.enabled': true,
+            'two_factor.secret': pendingSecret,
+            'two_factor.recovery_codes': hashes,
+            'two_factor.last_used_step': step,
+            'two_factor.enabled_at': new Date()
+          },
+          $unset: { 'two_factor.pending_secret': 1 }
+        }
+      );
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR.ENABLED,
+        data: {
+          recovery_codes: codes
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a TOTP or recovery code for a user with 2FA enabled
+   * Accepted TOTP steps and recovery codes cannot be used again
+   * @param {Object} user - User document from findUserWithSecrets
+   * @param {Object} credentials - { code } or { recovery_code }
+   * @returns {Promise<boolean>} - Verification result
+   */
+  async verifySecondFactor(user, { code, recovery_code: recoveryCode } = {}) {
+    try {
+      if (!user.two_factor || !user.two_factor.enabled) {
+        return false;
+      }
+
+      if (recoveryCode) {
+        const result = await User.updateOne(
+          { _id: user._id, 'two_factor.recovery_codes': hashToken(recoveryCode.trim().toLowerCase()) },
+          { $pull: { 'two_factor.recovery_codes': hashToken(recoveryCode.trim().toLowerCase()) } }
+        );
+        return result.modifiedCount === 1;
+      }
+
+      const step = verifyTotp(user.two_factor.secret, code);
+      if (step === null) {
+        return false;
+      }
+
+      // Claim the step atomically so a code cannot be replayed
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'two_factor.last_used_step': { $lt: step } },
+            { 'two_factor.last_used_step': null }
+          ]
+        },
+        { 'two_factor.last_used_step': step }
+      );
+      return result.modifiedCount === 1;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Disable 2FA after re-checking the password and a second factor
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} password - Current password
+   * @param {Object} credentials - { code } or { recovery_code }
+   * @returns {Promise<Object>} - Result
+   */
+  async disable(userId, tenantId, password, credentials) {
+    try {
+      const user = await this.findUserWithSecrets(userId, tenantId);
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      if (!user.two_factor || !user.two_factor.enabled) {
+        throw new Error(ERROR_MESSAGES.TWO_FACTOR.NOT_ENABLED);
+      }
+
+      const isPasswordValid = await user.comparePassword(password);
+      if (!isPasswordValid || !(await this.verifySecondFactor(user, credentials))) {
+        throw new CustomError(ERROR_MESSAGES.TWO_FACTOR.INVALID_CODE, HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: { 'two_factor.enabled': false, 'two_factor.enabled_at': null },
+          $unset: {
+            'two_factor.secret': 1,
+            'two_factor.pending_secret': 1,
+            'two_factor.recovery_codes': 1,
+            'two_factor.last_used_step': 1
+          }
+        }
+      );
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR.DISABLED
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - User ID
+   * @param {string} tenantId - Tenant ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} - New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, tenantId, code) {
+    try {
+      const user = await this.findUserWithSecrets(userId, tenantId);
+      if (!user) {
+        throw new Error(ERROR_MESSAGES.USER.NOT_FOUND);
+      }
+
+      if (!user.two_factor || !user.two_factor.enabled) {
+        throw new Error(ERROR_MESSAGES.TWO_FACTOR.NOT_ENABLED);
+      }
+
+      if (!(await this.verifySecondFactor(user, { code }))) {
+        throw new CustomError(ERROR_MESSAGES.TWO_FACTOR.INVALID_CODE, HTTP_STATUS.UNAUTHORIZED);
+      }
+
+      const { codes, hashes } = this.generateRecoveryCodes();
+      await User.updateOne({ _id: user._id }, { 'two_factor.recovery_codes': hashes });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.TWO_FACTOR.RECOVERY_CODES_REGENERATED,
+        data: {
+          recovery_codes: codes
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the interim token returned by login when a second factor is required
+   * @param {Object} user - User document
+   * @returns {string} - Challenge token
+   */
+  createChallengeToken(user) {
+    return generateToken(
+      {
+        id: user._id,
+        tenant_id: user.tenant_id._id || user.tenant_id,
+        purpose: '2fa_challenge'
+      },
+      AUTH_TOKENS.TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+      TOKEN_AUDIENCES.TWO_FACTOR
+    );
+  }
+
+  /**
+   * Verify an interim challenge token
+   * @param {string} challengeToken - Challenge token from login
+   * @returns {Object} - Decoded payload
+   */
+  verifyChallengeToken(challengeToken) {
+    try {
+      const decoded = verifyToken(challengeToken, TOKEN_AUDIENCES.TWO_FACTOR);
+      if (decoded.purpose !== '2fa_challenge') {
+        throw new Error(ERROR_MESSAGES.TWO_FACTOR.CHALLENGE_INVALID);
+      }
+      return decoded;
+    } catch (error) {
+      throw new CustomError(ERROR_MESSAGES.TWO_FACTOR.CHALLENGE_INVALID, HTTP_STATUS.UNAUTHORIZED);
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -9,20 +9,129 @@ const SUBSCRIPTION_PLANS = {
   PRO: 'pro'
 };
 
-const TENANT_SLUGS = {
-  ACME: 'acme',
-  GLOBEX: 'globex'
+const TENANT_SIGNUP = {
+  SLUG_PATTERN: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  SLUG_MIN_LENGTH: 3,
+  SLUG_MAX_LENGTH: 40,
+  // Slugs that collide with routes, subdomains or could be used to impersonate us
+  RESERVED_SLUGS: [
+    'admin', 'administrator', 'api', 'app', 'assets', 'auth', 'billing', 'blog',
+    'dashboard', 'docs', 'help', 'internal', 'login', 'logout', 'mail', 'notesflow',
+    'root', 'settings', 'signup', 'static', 'status', 'support', 'system', 'www'
+  ]
+};
+
+const NOTE_PERMISSIONS = {
+  VIEW: 'view',
+  EDIT: 'edit'
+};
+
+// Note fields a client may write; ownership, sharing, trash state and revisions are server-managed
+const NOTE_EDITABLE_FIELDS = ['title', 'content', 'tags', 'notebook_id', 'is_archived'];
+
+const SHARE_LINKS = {
+  TOKEN_BYTES: 24,
+  MAX_EXPIRES_IN_DAYS: 365,
+  PASSWORD_HEADER: 'x-share-password'
+};
+
+const NOTIFICATION_TYPES = {
+  NOTE_MENTION: 'note_mention',
+  COMMENT_MENTION: 'comment_mention'
+};
+
+const ATTACHMENTS = {
+  FIELD_NAME: 'file',
+  FILENAME_HEADER: 'x-file-name',
+  MAX_FILENAME_LENGTH: 255,
+  // Checked against the sniffed type, not the one the client declares
+  ALLOWED_MIME_TYPES: [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'application/pdf', 'application/zip', 'application/gzip', 'application/json',
+    'text/plain', 'text/markdown', 'text/csv',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+  ],
+  // Per-plan limits in bytes; the upload parser is additionally capped by MAX_FILE_SIZE
+  PLAN_LIMITS: {
+    free: {
+      MAX_FILE_SIZE: 2 * 1024 * 1024,
+      MAX_TOTAL_SIZE: 50 * 1024 * 1024
+    },
+    pro: {
+      MAX_FILE_SIZE: 10 * 1024 * 1024,
+      MAX_TOTAL_SIZE: 5 * 1024 * 1024 * 1024
+    }
+  }
+};
+
+// Sort orders for note listings; a leading "-" sorts descending, 'relevance' ranks text searches
+const NOTE_SORTS = {
+  VALUES: ['relevance', 'created_at', '-created_at', 'updated_at', '-updated_at', 'title', '-title'],
+  // Names used before field-based sorts, still accepted (saved searches store them)
+  ALIASES: {
+    newest: '-created_at',
+    oldest: 'created_at',
+    updated: '-updated_at'
+  },
+  DEFAULT: '-created_at'
+};
+
+const TAGS = {
+  AUTOCOMPLETE_LIMIT: 10,
+  MAX_AUTOCOMPLETE_LIMIT: 50,
+  MAX_MERGE_SOURCES: 50
+};
+
+const NOTEBOOKS = {
+  MAX_DEPTH: 5
+};
+
+const AUTH_TOKENS = {
+  ACCESS_TOKEN_EXPIRES_IN: '15m',
+  REFRESH_TOKEN_TTL_DAYS: 30,
+  PASSWORD_RESET_TTL_MINUTES: 60,
+  PASSWORD_RESET_COOLDOWN_MINUTES: 5,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN: '5m',
+  INVITATION_TTL_DAYS: 7
+};
+
+const LOGIN_PROTECTION = {
+  FAILURE_WINDOW_MINUTES: 15,
+  ACCOUNT: {
+    DELAY_AFTER: 3, // failures before progressive delays start
+    LOCK_AFTER: 10 // failures before a temporary lockout
+  },
+  IP: {
+    DELAY_AFTER: 10,
+    LOCK_AFTER: 50
+  },
+  // Password attempts on one public share link, from any client
+  SHARE_LINK: {
+    DELAY_AFTER: 5,
+    LOCK_AFTER: 20
+  },
+  BASE_DELAY_SECONDS: 2,
+  MAX_DELAY_SECONDS: 60,
+  LOCK_DURATION_MINUTES: 15
 };
 
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  NOT_MODIFIED: 304,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
   UNPROCESSABLE_ENTITY: 422,
+  LOCKED: 423,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500
 };
 
@@ -31,16 +140,105 @@ const ERROR_MESSAGES = {
     INVALID_CREDENTIALS: 'Invalid email or password',
     TOKEN_REQUIRED: 'Access token is required',
     TOKEN_INVALID: 'Invalid or expired token',
-    INSUFFICIENT_PERMISSIONS: 'Insufficient permissions for this action'
+    TOKEN_REVOKED: 'Token has been revoked',
+    SESSION_NOT_FOUND: 'Session not found',
+    RESET_TOKEN_INVALID: 'Invalid or expired password reset token',
+    REFRESH_TOKEN_REQUIRED: 'Refresh token is required',
+    REFRESH_TOKEN_INVALID: 'Invalid or expired refresh token',
+    REFRESH_TOKEN_REUSED: 'Refresh token reuse detected. Please log in again',
+    INSUFFICIENT_PERMISSIONS: 'Insufficient permissions for this action',
+    LOGIN_THROTTLED: 'Too many failed login attempts. Please wait before trying again',
+    ACCOUNT_LOCKED: 'Too many failed login attempts. Sign-in is temporarily locked'
+  },
+  TWO_FACTOR: {
+    ALREADY_ENABLED: 'Two-factor authentication is already enabled',
+    NOT_ENABLED: 'Two-factor authentication is not enabled',
+    SETUP_NOT_STARTED: 'Start two-factor setup before confirming it',
+    INVALID_CODE: 'Invalid authentication code',
+    CHALLENGE_INVALID: 'Invalid or expired two-factor challenge. Please log in again'
+  },
+  INVITATION: {
+    NOT_FOUND: 'Invitation not found',
+    INVALID: 'Invalid or expired invitation',
+    USER_EXISTS: 'A user with this email already exists'
+  },
+  PASSWORD: {
+    POLICY_VIOLATION: 'Password does not meet the password policy',
+    REUSED: 'Password was used recently. Choose a different password',
+    CURRENT_INCORRECT: 'Current password is incorrect'
+  },
+  USER: {
+    NOT_FOUND: 'User not found',
+    CANNOT_MODIFY_SELF: 'You cannot perform this action on your own account',
+    LAST_ADMIN: 'The tenant must keep at least one active admin',
+    CONCURRENT_CHANGE: 'This user was changed by another request. Reload and try again',
+    INVALID_TRANSFER_TARGET: 'Notes must be transferred to another active user of the tenant'
   },
   TENANT: {
     NOT_FOUND: 'Tenant not found',
-    INVALID_TENANT: 'Invalid tenant access'
+    INVALID_TENANT: 'Invalid tenant access',
+    SLUG_RESERVED: 'This tenant slug is reserved',
+    SLUG_TAKEN: 'This tenant slug is already taken',
+    EMAIL_TAKEN: 'An account with this email already exists'
   },
   NOTE: {
     NOT_FOUND: 'Note not found',
     LIMIT_EXCEEDED: 'Note limit exceeded. Upgrade to Pro plan for unlimited notes',
-    ACCESS_DENIED: 'Access denied to this note'
+    ACCESS_DENIED: 'Access denied to this note',
+    REVISION_NOT_FOUND: 'Note revision not found',
+    NOT_IN_TRASH: 'Note not found in trash',
+    EDIT_CONFLICT: 'The note was modified by someone else. Reload it and try again',
+    PRECONDITION_FAILED: 'The note has changed since it was loaded. The current version is included'
+  },
+  SHARE: {
+    USER_NOT_FOUND: 'User to share with not found in this tenant',
+    OWNER: 'A note cannot be shared with its owner',
+    NOT_FOUND: 'Share not found'
+  },
+  COMMENT: {
+    NOT_FOUND: 'Comment not found',
+    PARENT_NOT_FOUND: 'Comment being replied to not found',
+    NOT_AUTHOR: 'Only the author can edit this comment',
+    DELETE_DENIED: 'Only the author or an admin can delete this comment'
+  },
+  NOTIFICATION: {
+    NOT_FOUND: 'Notification not found'
+  },
+  TAG: {
+    NOT_FOUND: 'Tag not found',
+    NAME_TAKEN: 'A tag with this name already exists. Merge the tags instead',
+    SAME_NAME: 'The new tag name is the same as the current one',
+    TARGET_IN_SOURCES: 'The merge target cannot also be one of the tags being merged'
+  },
+  SAVED_SEARCH: {
+    NOT_FOUND: 'Saved search not found',
+    NAME_TAKEN: 'You already have a saved search with this name',
+    NOT_OWNER: 'Only the owner can change this saved search'
+  },
+  ATTACHMENT: {
+    NOT_FOUND: 'Attachment not found',
+    FILE_REQUIRED: 'A file is required in the "file" form field',
+    TOO_MANY_FILES: 'Upload one file at a time',
+    FILE_TOO_LARGE: 'File exceeds the maximum size allowed for your plan',
+    QUOTA_EXCEEDED: 'Attachment storage quota exceeded. Upgrade to Pro plan for more storage',
+    TYPE_NOT_ALLOWED: 'This file type is not allowed',
+    CONTENT_MISSING: 'Attachment content is no longer available'
+  },
+  SHARE_LINK: {
+    NOT_FOUND: 'Share link not found',
+    INVALID: 'This link is invalid, expired or has been revoked',
+    PASSWORD_REQUIRED: 'This link is password protected',
+    PASSWORD_INVALID: 'Incorrect link password',
+    PASSWORD_THROTTLED: 'Too many incorrect passwords for this link. Please wait before trying again',
+    PASSWORD_LOCKED: 'Too many incorrect passwords for this link. It is temporarily locked'
+  },
+  NOTEBOOK: {
+    NOT_FOUND: 'Notebook not found',
+    PARENT_NOT_FOUND: 'Parent notebook not found',
+    INVALID_PARENT: 'A notebook cannot be moved into itself or one of its sub-notebooks',
+    MAX_DEPTH: `Notebooks cannot be nested more than ${NOTEBOOKS.MAX_DEPTH} levels deep`,
+    NAME_TAKEN: 'A notebook with this name already exists in this location',
+    FOREIGN_CONTENT: 'This notebook contains notebooks or notes owned by other users. Move them out first, or delete with cascade=move'
   },
   VALIDATION: {
     INVALID_INPUT: 'Invalid input data provided'
@@ -50,22 +248,98 @@ const ERROR_MESSAGES = {
 const SUCCESS_MESSAGES = {
   AUTH: {
     LOGIN_SUCCESS: 'Login successful',
-    LOGOUT_SUCCESS: 'Logout successful'
+    LOGOUT_SUCCESS: 'Logout successful',
+    LOGOUT_ALL_SUCCESS: 'Logged out from all sessions',
+    SESSION_REVOKED: 'Session revoked successfully',
+    PASSWORD_RESET_REQUESTED: 'If an account exists for that email, a password reset link has been sent',
+    PASSWORD_RESET: 'Password has been reset. Please log in with your new password',
+    PASSWORD_CHANGED: 'Password changed successfully. Other sessions have been signed out',
+    TOKEN_REFRESHED: 'Token refreshed successfully'
   },
   NOTE: {
     CREATED: 'Note created successfully',
     UPDATED: 'Note updated successfully',
-    DELETED: 'Note deleted successfully'
+    DELETED: 'Note deleted successfully',
+    RESTORED_REVISION: 'Note restored to the selected revision',
+    RESTORED: 'Note restored from trash',
+    PERMANENTLY_DELETED: 'Note permanently deleted',
+    MOVED: 'Note moved successfully',
+    SHARED: 'Note shared successfully',
+    UNSHARED: 'Note sharing revoked successfully'
+  },
+  COMMENT: {
+    CREATED: 'Comment added successfully',
+    UPDATED: 'Comment updated successfully',
+    DELETED: 'Comment deleted successfully'
+  },
+  TAG: {
+    UPDATED: 'Tag updated successfully',
+    RENAMED: 'Tag renamed successfully',
+    MERGED: 'Tags merged successfully'
+  },
+  SAVED_SEARCH: {
+    CREATED: 'Saved search created successfully',
+    UPDATED: 'Saved search updated successfully',
+    DELETED: 'Saved search deleted successfully'
+  },
+  ATTACHMENT: {
+    UPLOADED: 'Attachment uploaded successfully',
+    DELETED: 'Attachment deleted successfully'
+  },
+  NOTIFICATION: {
+    READ: 'Notification marked as read',
+    ALL_READ: 'All notifications marked as read'
+  },
+  SHARE_LINK: {
+    CREATED: 'Share link created. Copy it now, it will not be shown again',
+    REVOKED: 'Share link revoked successfully'
+  },
+  NOTEBOOK: {
+    CREATED: 'Notebook created successfully',
+    UPDATED: 'Notebook updated successfully',
+    DELETED: 'Notebook deleted successfully'
+  },
+  TWO_FACTOR: {
+    CHALLENGE_REQUIRED: 'Two-factor authentication required',
+    SETUP_STARTED: 'Scan the QR code with your authenticator app, then confirm with a code',
+    ENABLED: 'Two-factor authentication enabled. Store your recovery codes safely',
+    DISABLED: 'Two-factor authentication disabled',
+    RECOVERY_CODES_REGENERATED: 'Recovery codes regenerated'
+  },
+  INVITATION: {
+    SENT: 'Invitation sent successfully',
+    REVOKED: 'Invitation revoked successfully',
+    ACCEPTED: 'Invitation accepted. Welcome aboard!'
   },
   TENANT: {
-    UPGRADED: 'Subscription upgraded to Pro successfully'
+    CREATED: 'Tenant created successfully',
+    UPGRADED: 'Subscription upgraded to Pro successfully',
+    SETTINGS_UPDATED: 'Tenant settings updated successfully'
+  },
+  USER: {
+    ROLE_UPDATED: 'User role updated successfully',
+    DEACTIVATED: 'User deactivated successfully',
+    REACTIVATED: 'User reactivated successfully',
+    REMOVED: 'User removed successfully',
+    UNLOCKED: 'User sign-in unlocked successfully',
+    SESSIONS_REVOKED: 'User sessions revoked successfully'
   }
 };
 
 module.exports = {
   ROLES,
   SUBSCRIPTION_PLANS,
-  TENANT_SLUGS,
+  TENANT_SIGNUP,
+  NOTE_PERMISSIONS,
+  NOTE_EDITABLE_FIELDS,
+  NOTE_SORTS,
+  SHARE_LINKS,
+  NOTIFICATION_TYPES,
+  ATTACHMENTS,
+  TAGS,
+  NOTEBOOKS,
+  AUTH_TOKENS,
+  LOGIN_PROTECTION,
   HTTP_STATUS,
   ERROR_MESSAGES,
   SUCCESS_MESSAGES
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {number} bytes - Number of random bytes (default: 32)
+ * @returns {string} - URL-safe token
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash a token for storage (tokens are never persisted in plain text)
+ * @param {string} token - Plain token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken
+};
@@ -0,0 +1,94 @@
+// Opaque cursors for keyset pagination of note listings
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('./constants');
+
+const INVALID_CURSOR = 'Invalid or expired cursor. Restart from the first page';
+
+// Keyset sort fields and the type their cursor values must have; anything else is a forged cursor
+const FIELD_TYPES = {
+  created_at: 'date',
+  updated_at: 'date',
+  title: 'string'
+};
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+/**
+ * Encode a position in a listing into an opaque cursor
+ * @param {Object} position - { sort, value, id } for keyset sorts or { sort, offset } for relevance
+ * @returns {string} - URL-safe cursor
+ */
+const encodeCursor = ({ sort, value, id, offset }) => {
+  const payload = offset !== undefined
+    ? { s: sort, o: offset }
+    : { s: sort, v: value instanceof Date ? value.toISOString() : value, i: String(id) };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor, checking it was issued for the same sort order
+ * Cursors come from the client, so every value is type-checked before it reaches a query
+ * @param {string} cursor - Cursor from a previous response
+ * @param {string} sort - Sort order of the current request
+ * @returns {Object} - { value, id } or { offset }
+ */
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CustomError(INVALID_CURSOR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!payload || typeof payload !== 'object' || payload.s !== sort) {
+    throw new CustomError(INVALID_CURSOR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (payload.o !== undefined) {
+    if (!Number.isInteger(payload.o) || payload.o < 0) {
+      throw new CustomError(INVALID_CURSOR, HTTP_STATUS.BAD_REQUEST);
+    }
+    return { offset: payload.o };
+  }
+
+  const type = FIELD_TYPES[String(sort).replace(/^-/, '')];
+  const validId = typeof payload.i === 'string' && OBJECT_ID_PATTERN.test(payload.i);
+  const validValue = typeof payload.v === 'string'
+    && (type === 'string' || (type === 'date' && ISO_DATE_PATTERN.test(payload.v)));
+
+  if (!validId || !validValue) {
+    throw new CustomError(INVALID_CURSOR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const value = type === 'date' ? new Date(payload.v) : payload.v;
+  if (type === 'date' && Number.isNaN(value.getTime())) {
+    throw new CustomError(INVALID_CURSOR, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return { value, id: payload.i };
+};
+
+/**
+ * Build the filter selecting documents after a cursor position, ties broken by _id
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 ascending, -1 descending
+ * @param {Object} position - Decoded cursor ({ value, id })
+ * @returns {Object} - Mongo filter
+ */
+const buildKeysetFilter = (field, direction, { value, id }) => {
+  const operator = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [field]: { [operator]: value } },
+      { [field]: value, _id: { [operator]: id } }
+    ]
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  buildKeysetFilter
+};
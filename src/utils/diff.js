@@ -0,0 +1,98 @@
+// Line-based diff utilities for note revisions
+
+/**
+ * Split text into lines, keeping empty text as no lines
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Lines
+ */
+const splitLines = (text) => (text ? text.split(/\r?\n/) : []);
+
+/**
+ * Compute a line diff using the longest common subsequence
+ * @param {string} oldText - Previous text
+ * @param {string} newText - New text
+ * @returns {Array<Object>} - Hunks of { type: 'equal' | 'added' | 'removed', lines }
+ */
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Common prefix and suffix never need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  // lengths[i][j] = LCS length of midA[i..] and midB[j..]; content is capped well below 65535 lines
+  const lengths = new Uint16Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = midA[i] === midB[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const operations = a.slice(0, start).map(line => ({ type: 'equal', line }));
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      operations.push({ type: 'equal', line: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      operations.push({ type: 'removed', line: midA[i++] });
+    } else {
+      operations.push({ type: 'added', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) {
+    operations.push({ type: 'removed', line: midA[i++] });
+  }
+  while (j < midB.length) {
+    operations.push({ type: 'added', line: midB[j++] });
+  }
+
+  a.slice(endA).forEach(line => operations.push({ type: 'equal', line }));
+
+  // Group consecutive operations of the same type into hunks
+  return operations.reduce((hunks, { type, line }) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ type, lines: [line] });
+    }
+    return hunks;
+  }, []);
+};
+
+/**
+ * Compare two tag lists
+ * @param {Array<string>} oldTags - Previous tags
+ * @param {Array<string>} newTags - New tags
+ * @returns {Object} - Added and removed tags
+ */
+const diffTags = (oldTags = [], newTags = []) => ({
+  added: newTags.filter(tag => !oldTags.includes(tag)),
+  removed: oldTags.filter(tag => !newTags.includes(tag))
+});
+
+module.exports = {
+  diffLines,
+  diffTags
+};
@@ -0,0 +1,72 @@
+// ETag helpers for optimistic concurrency on notes
+
+/**
+ * Build the entity tag for a note from its revision
+ * @param {Object} note - Note document
+ * @returns {string} - Strong ETag, e.g. "r3"
+ */
+const buildNoteEtag = (note) => `"r${note.revision || 1}"`;
+
+/**
+ * Split a comma-separated entity tag header
+ * @param {string} header - If-Match / If-None-Match header value
+ * @returns {Array<string>} - Entity tags
+ */
+const splitEtags = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+/**
+ * Parse an If-Match header into the revisions it accepts
+ * Weak tags never satisfy If-Match (strong comparison), so they are dropped
+ * @param {string} header - If-Match header value
+ * @returns {null|string|Array<number>} - null when absent, '*' for any, otherwise revisions
+ */
+const parseIfMatch = (header) => {
+  if (!header) {
+    return null;
+  }
+
+  const tags = splitEtags(header);
+  if (tags.includes('*')) {
+    return '*';
+  }
+
+  return tags
+    .map(tag => /^"r(\d+)"$/.exec(tag))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+};
+
+/**
+ * Check an If-Match condition against a revision
+ * @param {null|string|Array<number>} condition - Result of parseIfMatch
+ * @param {number} revision - Current revision
+ * @returns {boolean} - Whether the precondition holds
+ */
+const ifMatchSatisfied = (condition, revision) => {
+  if (condition === null || condition === '*') {
+    return true;
+  }
+  return condition.includes(revision || 1);
+};
+
+/**
+ * Check whether an If-None-Match header matches an ETag (weak comparison)
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Current ETag
+ * @returns {boolean} - True when the client's copy is current
+ */
+const ifNoneMatchSatisfied = (header, etag) => {
+  if (!header) {
+    return false;
+  }
+
+  const strip = tag => tag.replace(/^W\//, '');
+  return splitEtags(header).some(tag => tag === '*' || strip(tag) === strip(etag));
+};
+
+module.exports = {
+  buildNoteEtag,
+  parseIfMatch,
+  ifMatchSatisfied,
+  ifNoneMatchSatisfied
+};
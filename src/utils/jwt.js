@@ -1,18 +1,24 @@
 const jwt = require('jsonwebtoken');
 
-const generateToken = (payload, expiresIn = '24h') => {
+const TOKEN_AUDIENCES = {
+  CLIENT: 'notes-saas-client',
+  // Interim token between the password and second-factor steps of login
+  TWO_FACTOR: 'notes-saas-2fa'
+};
+
+const generateToken = (payload, expiresIn = '24h', audience = TOKEN_AUDIENCES.CLIENT) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn,
     issuer: 'notes-saas-api',
-    audience: 'notes-saas-client'
+    audience
   });
 };
 
-const verifyToken = (token) => {
+const verifyToken = (token, audience = TOKEN_AUDIENCES.CLIENT) => {
   try {
     return jwt.verify(token, process.env.JWT_SECRET, {
       issuer: 'notes-saas-api',
-      audience: 'notes-saas-client'
+      audience
     });
   } catch (error) {
     throw new Error('Invalid or expired token');
@@ -27,6 +33,7 @@ const extractTokenFromHeader = (authHeader) => {
 };
 
 module.exports = {
+  TOKEN_AUDIENCES,
   generateToken,
   verifyToken,
   extractTokenFromHeader
@@ -0,0 +1,58 @@
+// @mention parsing for note and comment text
+
+// "@" followed by an email address, not preceded by a word character (so plain emails are not mentions)
+const MENTION_PATTERN = /(?:^|[^\w@.])@([a-z0-9._%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/gi;
+
+const EXCERPT_RADIUS = 80;
+
+/**
+ * Extract the distinct email addresses mentioned in a text
+ * @param {string} text - Note content or comment
+ * @returns {Array<string>} - Lowercased emails in order of first mention
+ */
+const extractMentions = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const emails = [];
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    const email = match[1].toLowerCase();
+    if (!emails.includes(email)) {
+      emails.push(email);
+    }
+  }
+  return emails;
+};
+
+/**
+ * Mentions present in the new text but not in the previous one
+ * @param {string} text - New text
+ * @param {string} previousText - Text before the change (optional)
+ * @returns {Array<string>} - Newly mentioned emails
+ */
+const extractNewMentions = (text, previousText = null) => {
+  const previous = extractMentions(previousText);
+  return extractMentions(text).filter(email => !previous.includes(email));
+};
+
+/**
+ * Cut the text around the first mention of an email, for notification previews
+ * @param {string} text - Text containing the mention
+ * @param {string} email - Mentioned email
+ * @returns {string} - Excerpt
+ */
+const mentionExcerpt = (text, email) => {
+  const source = String(text);
+  const index = Math.max(source.toLowerCase().indexOf(`@${email}`), 0);
+  const start = Math.max(index - EXCERPT_RADIUS, 0);
+  const end = Math.min(index + email.length + 1 + EXCERPT_RADIUS, source.length);
+
+  return `${start > 0 ? '…' : ''}${source.slice(start, end).trim()}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  extractMentions,
+  extractNewMentions,
+  mentionExcerpt
+};
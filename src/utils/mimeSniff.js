@@ -0,0 +1,84 @@
+// Content-based MIME type detection for uploads; the client's declared type is never trusted
+
+// Magic numbers checked against the start of the file (offset in bytes)
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } },
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { mime: 'application/x-msdownload', bytes: [0x4d, 0x5a] },
+  { mime: 'application/x-elf', bytes: [0x7f, 0x45, 0x4c, 0x46] }
+];
+
+// Office Open XML documents are zip archives; the first entry name tells them apart
+const OOXML_TYPES = [
+  { marker: 'word/', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  { marker: 'xl/', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { marker: 'ppt/', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' }
+];
+
+const TEXT_SAMPLE_BYTES = 8192;
+
+/**
+ * Check a byte sequence at an offset
+ * @param {Buffer} buffer - File content
+ * @param {Array<number>} bytes - Expected bytes
+ * @param {number} offset - Offset in the buffer
+ * @returns {boolean} - Whether the bytes match
+ */
+const matchesAt = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+/**
+ * Whether the start of a buffer looks like UTF-8 text
+ * @param {Buffer} buffer - File content
+ * @returns {boolean} - True for text
+ */
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+  if (sample.includes(0)) {
+    return false;
+  }
+
+  // A multi-byte character cut at the sample boundary is fine; anything else invalid is binary
+  const decoded = sample.toString('utf8');
+  const replacements = (decoded.match(/\uFFFD/g) || []).length;
+  return replacements <= (sample.length === TEXT_SAMPLE_BYTES ? 1 : 0);
+};
+
+/**
+ * Detect the MIME type of a file from its content
+ * @param {Buffer} buffer - File content
+ * @param {string} filename - Original file name, used only to refine text types
+ * @returns {string} - Detected MIME type (application/octet-stream when unknown)
+ */
+const sniffMimeType = (buffer, filename = '') => {
+  const signature = SIGNATURES.find(({ bytes, extra }) =>
+    matchesAt(buffer, bytes) && (!extra || matchesAt(buffer, extra.bytes, extra.offset)));
+
+  if (signature) {
+    if (signature.mime === 'application/zip') {
+      const head = buffer.subarray(0, 2048).toString('latin1');
+      const office = OOXML_TYPES.find(({ marker }) => head.includes(marker));
+      return office ? office.mime : signature.mime;
+    }
+    return signature.mime;
+  }
+
+  if (buffer.length > 0 && looksLikeText(buffer)) {
+    const extension = filename.toLowerCase().split('.').pop();
+    if (extension === 'md' || extension === 'markdown') return 'text/markdown';
+    if (extension === 'csv') return 'text/csv';
+    if (extension === 'json') return 'application/json';
+    return 'text/plain';
+  }
+
+  return 'application/octet-stream';
+};
+
+module.exports = {
+  sniffMimeType
+};
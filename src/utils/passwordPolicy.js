@@ -0,0 +1,79 @@
+// Defaults applied when a tenant has not customised its password policy
+const DEFAULT_PASSWORD_POLICY = {
+  min_length: 8,
+  require_uppercase: false,
+  require_lowercase: false,
+  require_number: true,
+  require_symbol: false,
+  reject_common: true,
+  history_count: 3
+};
+
+// Most frequently breached passwords; compared case-insensitively
+const COMMON_PASSWORDS = new Set([
+  '123456', '123456789', '12345678', '12345', '1234567', '1234567890', '111111',
+  '000000', '123123', '654321', '666666', '121212', '112233', '159753', '987654321',
+  'password', 'password1', 'password12', 'password123', 'passw0rd', 'p@ssw0rd',
+  'qwerty', 'qwerty123', 'qwertyuiop', '1q2w3e4r', '1qaz2wsx', 'zaq12wsx', 'asdfghjkl',
+  'abc123', 'abcd1234', 'iloveyou', 'admin', 'admin123', 'administrator', 'welcome',
+  'welcome1', 'welcome123', 'letmein', 'monkey', 'dragon', 'football', 'baseball',
+  'sunshine', 'princess', 'master', 'shadow', 'superman', 'trustno1', 'changeme',
+  'secret', 'login', 'starwars', 'whatever', 'freedom', 'michael', 'jennifer'
+]);
+
+/**
+ * Merge a tenant policy with the defaults
+ * @param {Object} policy - Tenant password policy (may be partial)
+ * @returns {Object} - Complete policy
+ */
+const resolvePasswordPolicy = (policy = {}) => {
+  const plain = policy && typeof policy.toObject === 'function' ? policy.toObject() : policy;
+  return { ...DEFAULT_PASSWORD_POLICY, ...(plain || {}) };
+};
+
+/**
+ * Check a password against a policy
+ * @param {string} password - Candidate password
+ * @param {Object} policy - Password policy
+ * @param {Object} context - Extra context (email) for similarity checks
+ * @returns {Array<string>} - Policy violations (empty when valid)
+ */
+const validatePassword = (password, policy, context = {}) => {
+  const rules = resolvePasswordPolicy(policy);
+  const violations = [];
+  const value = String(password || '');
+
+  if (value.length < rules.min_length) {
+    violations.push(`Password must be at least ${rules.min_length} characters long`);
+  }
+  if (rules.require_uppercase && !/[A-Z]/.test(value)) {
+    violations.push('Password must contain an uppercase letter');
+  }
+  if (rules.require_lowercase && !/[a-z]/.test(value)) {
+    violations.push('Password must contain a lowercase letter');
+  }
+  if (rules.require_number && !/[0-9]/.test(value)) {
+    violations.push('Password must contain a number');
+  }
+  if (rules.require_symbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push('Password must contain a symbol');
+  }
+  if (rules.reject_common && COMMON_PASSWORDS.has(value.toLowerCase())) {
+    violations.push('Password is too common');
+  }
+  if (context.email) {
+    const localPart = context.email.split('@')[0].toLowerCase();
+    if (localPart.length >= 3 && value.toLowerCase().includes(localPart)) {
+      violations.push('Password must not contain your email address');
+    }
+  }
+
+  return violations;
+};
+
+module.exports = {
+  DEFAULT_PASSWORD_POLICY,
+  COMMON_PASSWORDS,
+  resolvePasswordPolicy,
+  validatePassword
+};
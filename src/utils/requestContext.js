@@ -0,0 +1,49 @@
+/**
+ * Extract client details used to identify a device/session
+ * @param {Object} req - Express request object
+ * @returns {Object} - Client context
+ */
+const getClientContext = (req) => {
+  return {
+    user_agent: (req.get('User-Agent') || 'unknown').substring(0, 512),
+    ip: req.ip
+  };
+};
+
+/**
+ * Derive a human readable device label from a user agent string
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} - Device label, e.g. "Chrome on macOS"
+ */
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//],
+    ['Postman', /PostmanRuntime/]
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+
+  return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+};
+
+module.exports = {
+  getClientContext,
+  describeDevice
+};
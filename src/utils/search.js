@@ -0,0 +1,168 @@
+// Helpers for note search: safe regexes, search term parsing and highlighted snippets
+
+const SNIPPET_RADIUS = 60;
+const MAX_SNIPPETS = 3;
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw user input
+ * @returns {string} - Escaped pattern
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split a $text search string into the parts that should be highlighted
+ * Follows MongoDB's syntax: "quoted phrases", -negated terms and plain terms
+ * @param {string} search - Search string
+ * @returns {Object} - { terms, phrases, negated }
+ */
+const parseSearchTerms = (search) => {
+  const phrases = [];
+  const withoutPhrases = String(search || '').replace(/"([^"]*)"/g, (match, phrase) => {
+    if (phrase.trim()) {
+      phrases.push(phrase.trim());
+    }
+    return ' ';
+  });
+
+  const terms = [];
+  const negated = [];
+  withoutPhrases.split(/\s+/).filter(Boolean).forEach(word => {
+    if (word.startsWith('-') && word.length > 1) {
+      negated.push(word.slice(1));
+    } else if (word !== '-') {
+      terms.push(word);
+    }
+  });
+
+  return { terms, phrases, negated };
+};
+
+/**
+ * Reduce a term to a rough stem so highlights also catch inflected forms ($text stems words)
+ * @param {string} term - Search term
+ * @returns {string} - Stem
+ */
+const stem = (term) => {
+  const lower = term.toLowerCase();
+  const suffix = ['ing', 'ed', 'es', 's'].find(ending =>
+    lower.endsWith(ending) && lower.length - ending.length >= 3);
+  if (!suffix) {
+    return lower;
+  }
+
+  // "running" -> "runn" -> "run"
+  const base = lower.slice(0, -suffix.length);
+  return /([^aeiou])\1$/.test(base) ? base.slice(0, -1) : base;
+};
+
+/**
+ * Build the regex matching everything a search should highlight
+ * @param {string} search - Search string
+ * @param {string} mode - 'text' (whole words, stemmed) or 'prefix'
+ * @returns {RegExp|null} - Global, case-insensitive pattern or null when there is nothing to match
+ */
+const buildHighlightPattern = (search, mode = 'text') => {
+  const { terms, phrases } = parseSearchTerms(search);
+
+  // Phrases first so a phrase wins over the terms inside it, then longer terms before shorter ones
+  const alternatives = [
+    ...phrases.map(phrase => escapeRegex(phrase)),
+    ...terms
+      .map(term => mode === 'prefix' ? term : stem(term))
+      .sort((a, b) => b.length - a.length)
+      .map(term => `${escapeRegex(term)}[\\p{L}\\p{N}]*`)
+  ];
+
+  if (alternatives.length === 0) {
+    return null;
+  }
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})`, 'giu');
+};
+
+/**
+ * Highlight matches in a text, wrapping them in <mark> (the rest is HTML-escaped)
+ * Long texts are cut into snippets around the first matches
+ * @param {string} text - Text to highlight
+ * @param {RegExp} pattern - Result of buildHighlightPattern
+ * @param {boolean} snippets - Whether to cut the text into snippets
+ * @returns {Array<string>} - Highlighted fragments (empty when nothing matches)
+ */
+const highlightText = (text, pattern, snippets = true) => {
+  const source = String(text || '');
+  const matches = [...source.matchAll(pattern)].filter(match => match[0].length > 0);
+  if (matches.length === 0) {
+    return [];
+  }
+
+  const mark = (start, end) => {
+    let result = '';
+    let cursor = start;
+    matches
+      .filter(match => match.index >= start && match.index + match[0].length <= end)
+      .forEach(match => {
+        result += escapeHtml(source.slice(cursor, match.index));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        cursor = match.index + match[0].length;
+      });
+    return result + escapeHtml(source.slice(cursor, end));
+  };
+
+  if (!snippets) {
+    return [mark(0, source.length)];
+  }
+
+  // Merge windows around each match so overlapping snippets are returned once
+  const windows = [];
+  matches.forEach(match => {
+    const start = Math.max(match.index - SNIPPET_RADIUS, 0);
+    const end = Math.min(match.index + match[0].length + SNIPPET_RADIUS, source.length);
+    const last = windows[windows.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      windows.push({ start, end });
+    }
+  });
+
+  return windows.slice(0, MAX_SNIPPETS).map(({ start, end }) =>
+    `${start > 0 ? '…' : ''}${mark(start, end)}${end < source.length ? '…' : ''}`);
+};
+
+/**
+ * Build the highlights of a note for a search
+ * @param {Object} note - Note document or object
+ * @param {RegExp} pattern - Result of buildHighlightPattern
+ * @returns {Object} - { title, content, tags } highlighted fragments
+ */
+const buildNoteHighlights = (note, pattern) => {
+  if (!pattern) {
+    return { title: [], content: [], tags: [] };
+  }
+
+  return {
+    title: highlightText(note.title, pattern, false),
+    content: highlightText(note.content, pattern),
+    tags: (note.tags || []).filter(tag => new RegExp(pattern.source, 'iu').test(tag))
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchTerms,
+  buildHighlightPattern,
+  buildNoteHighlights
+};
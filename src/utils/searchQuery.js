@@ -0,0 +1,173 @@
+// Parser for the notes search language, e.g.
+//   tag:design author:user@acme.test created:>2025-01-01 is:archived "exact phrase" -draft
+// Recognized qualifiers become structured filters; everything else is full-text search.
+// A leading "-" negates any token: -draft and -"a phrase" exclude text, and a negated qualifier
+// (-tag:x, -author:x, -is:archived, -created:>2025-01-01, -notebook:none) excludes what it would match.
+
+const { CustomError } = require('../middleware/errorHandler');
+const { HTTP_STATUS } = require('./constants');
+
+const QUALIFIERS = ['tag', 'author', 'created', 'updated', 'is', 'notebook'];
+const IS_VALUES = ['archived', 'active', 'shared', 'mine'];
+const MAX_TOKENS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a query into tokens, keeping "quoted phrases" (optionally prefixed, e.g. -"a b" or tag:"a b") whole
+ * @param {string} input - Raw query
+ * @returns {Array<string>} - Tokens
+ */
+const tokenize = (input) => String(input).match(/(?:[^\s"]*"[^"]*"?)|[^\s]+/g) || [];
+
+/**
+ * Remove surrounding quotes from a value
+ * @param {string} value - Token value
+ * @returns {string} - Unquoted value
+ */
+const unquote = (value) => value.replace(/^"|"$/g, '');
+
+/**
+ * Parse a YYYY-MM-DD date at UTC midnight
+ * @param {string} value - Date string
+ * @param {string} qualifier - Qualifier name, for error messages
+ * @returns {Date} - Parsed date
+ */
+const parseDay = (value, qualifier) => {
+  const date = new Date(`${value}T00:00:00.000Z`);
+  // Reject impossible days that Date would silently roll over (e.g. 2025-02-30)
+  if (!DATE_PATTERN.test(value) || Number.isNaN(date.getTime()) || !date.toISOString().startsWith(value)) {
+    throw new CustomError(`Invalid date in ${qualifier}: filter: "${value}" (use YYYY-MM-DD)`, HTTP_STATUS.BAD_REQUEST);
+  }
+  return date;
+};
+
+/**
+ * Parse a date filter (>d, >=d, <d, <=d, d, or d1..d2) into a Mongo range
+ * A bare day matches that whole day; ranges include both ends
+ * @param {string} value - Filter value
+ * @param {string} qualifier - Qualifier name, for error messages
+ * @returns {Object} - Range ($gt / $gte / $lt / $lte)
+ */
+const parseDateRange = (value, qualifier) => {
+  const nextDay = date => new Date(date.getTime() + 24 * 60 * 60 * 1000);
+
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    return {
+      ...(from && { $gte: parseDay(from, qualifier) }),
+      ...(to && { $lt: nextDay(parseDay(to, qualifier)) })
+    };
+  }
+
+  const match = /^(>=|<=|>|<)?(.*)$/.exec(value);
+  const day = parseDay(match[2], qualifier);
+
+  switch (match[1]) {
+    case '>': return { $gte: nextDay(day) };
+    case '>=': return { $gte: day };
+    case '<': return { $lt: day };
+    case '<=': return { $lt: nextDay(day) };
+    default: return { $gte: day, $lt: nextDay(day) };
+  }
+};
+
+/**
+ * Parse a search query into structured filters and the remaining full-text part
+ * Unknown "word:value" tokens are kept as text, so URLs and times still search normally
+ * @param {string} input - Raw query
+ * @returns {Object} - { text, terms, phrases, negated, tags, excluded_tags, authors, excluded_authors, created,
+ *   excluded_created, updated, excluded_updated, is, excluded_is, notebook, excluded_notebooks }
+ */
+const parseSearchQuery = (input) => {
+  const tokens = tokenize(input);
+  if (tokens.length > MAX_TOKENS) {
+    throw new CustomError(`Search query cannot have more than ${MAX_TOKENS} terms`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const parsed = {
+    text: '',
+    terms: [],
+    phrases: [],
+    negated: [],
+    tags: [],
+    excluded_tags: [],
+    authors: [],
+    excluded_authors: [],
+    created: null,
+    excluded_created: [],
+    updated: null,
+    excluded_updated: [],
+    is: [],
+    excluded_is: [],
+    notebook: null,
+    excluded_notebooks: []
+  };
+  const textTokens = [];
+
+  tokens.forEach(token => {
+    const negate = token.startsWith('-') && token.length > 1;
+    const body = negate ? token.slice(1) : token;
+    const qualifier = /^([a-z]+):(.+)$/i.exec(body);
+    const key = qualifier && qualifier[1].toLowerCase();
+
+    if (!qualifier || !QUALIFIERS.includes(key)) {
+      const value = unquote(body);
+      if (!value) {
+        return;
+      }
+      if (negate) {
+        parsed.negated.push(value);
+      } else if (body.startsWith('"')) {
+        parsed.phrases.push(value);
+      } else {
+        parsed.terms.push(value);
+      }
+      textTokens.push(token);
+      return;
+    }
+
+    const value = unquote(qualifier[2]);
+
+    switch (key) {
+      case 'tag':
+        (negate ? parsed.excluded_tags : parsed.tags).push(value.toLowerCase());
+        break;
+      case 'author':
+        (negate ? parsed.excluded_authors : parsed.authors).push(value.toLowerCase());
+        break;
+      case 'created':
+      case 'updated':
+        // Each negated range is excluded on its own: -created:2025-01-01 -created:2025-02-01 drops both days
+        if (negate) {
+          parsed[`excluded_${key}`].push(parseDateRange(value, key));
+        } else {
+          parsed[key] = { ...parsed[key], ...parseDateRange(value, key) };
+        }
+        break;
+      case 'is':
+        if (!IS_VALUES.includes(value.toLowerCase())) {
+          throw new CustomError(`Unknown is: filter "${value}" (use ${IS_VALUES.join(', ')})`, HTTP_STATUS.BAD_REQUEST);
+        }
+        (negate ? parsed.excluded_is : parsed.is).push(value.toLowerCase());
+        break;
+      case 'notebook':
+        if (value !== 'none' && !/^[a-f\d]{24}$/i.test(value)) {
+          throw new CustomError('notebook: filter must be a notebook ID or "none"', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (negate) {
+          parsed.excluded_notebooks.push(value);
+        } else {
+          parsed.notebook = value;
+        }
+        break;
+    }
+  });
+
+  parsed.text = textTokens.join(' ');
+  return parsed;
+};
+
+module.exports = {
+  parseSearchQuery
+};
@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const { TENANT_SIGNUP, SHARE_LINKS, NOTE_EDITABLE_FIELDS, NOTE_SORTS, TAGS } = require('./constants');
 
 // Auth validation schemas [12][19]
 const loginValidation = [
@@ -11,6 +12,89 @@ const loginValidation = [
     .withMessage('Password must be at least 6 characters long')
 ];
 
+const refreshTokenValidation = [
+  body('refresh_token')
+    .optional()
+    .isString()
+    .isLength({ min: 32, max: 256 })
+    .withMessage('Invalid refresh token format')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Password must not exceed 128 characters')
+];
+
+const changePasswordValidation = [
+  body('current_password')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('new_password')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('New password must not exceed 128 characters')
+];
+
+// Two-factor validation schemas
+const totpCodeRule = (field = 'code') => body(field)
+  .optional()
+  .matches(/^\d{6}$/)
+  .withMessage('Authentication code must be 6 digits');
+
+const secondFactorRules = [
+  totpCodeRule(),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .isLength({ min: 8, max: 32 })
+    .withMessage('Invalid recovery code'),
+  body()
+    .custom(value => Boolean(value && (value.code || value.recovery_code)))
+    .withMessage('An authentication code or recovery code is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+const twoFactorVerifyValidation = [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  ...secondFactorRules
+];
+
+const twoFactorDisableValidation = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...secondFactorRules
+];
+
+const sessionIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+];
+
 // Note validation schemas
 const createNoteValidation = [
   body('title')
@@ -29,14 +113,22 @@ const createNoteValidation = [
     .optional()
     .trim()
     .isLength({ max: 50 })
-    .withMessage('Each tag must not exceed 50 characters')
+    .withMessage('Each tag must not exceed 50 characters'),
+  body('notebook_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid notebook ID')
 ];
 
 const updateNoteValidation = [
   param('id')
     .isMongoId()
     .withMessage('Invalid note ID'),
-  ...createNoteValidation
+  ...createNoteValidation,
+  body('is_archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_archived must be a boolean')
 ];
 
 const noteIdValidation = [
@@ -45,14 +137,380 @@ const noteIdValidation = [
     .withMessage('Invalid note ID')
 ];
 
+const NOTE_PATCH_FIELDS = [...NOTE_EDITABLE_FIELDS, 'add_tags', 'remove_tags'];
+
+// JSON Merge Patch (RFC 7396): only fields present in the body are validated
+const patchNoteValidation = [
+  ...noteIdValidation,
+  body()
+    .custom(value => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Patch body must be a JSON object');
+      }
+
+      const keys = Object.keys(value);
+      const unknown = keys.filter(key => !NOTE_PATCH_FIELDS.includes(key));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+      }
+      if (keys.length === 0) {
+        throw new Error('Patch body must contain at least one field');
+      }
+      return true;
+    }),
+  body('title')
+    .optional()
+    .isString()
+    .withMessage('Title cannot be removed')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title must be between 1 and 255 characters'),
+  body('content')
+    .optional()
+    .isString()
+    .withMessage('Content cannot be removed')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Content must be between 1 and 10000 characters'),
+  body('tags')
+    .optional({ values: 'null' })
+    .isArray()
+    .withMessage('Tags must be an array or null'),
+  body(['add_tags', 'remove_tags'])
+    .optional()
+    .isArray()
+    .withMessage('Tag operations must be arrays'),
+  body(['tags.*', 'add_tags.*', 'remove_tags.*'])
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each tag must be between 1 and 50 characters'),
+  body('is_archived')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('is_archived must be a boolean'),
+  body('notebook_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid notebook ID')
+];
+
+const moveNoteValidation = [
+  ...noteIdValidation,
+  body('notebook_id')
+    .custom(value => value === null || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('notebook_id must be a notebook ID, or null to move the note out of its notebook')
+];
+
+const archiveNoteValidation = [
+  ...noteIdValidation,
+  body('archived')
+    .isBoolean({ strict: true })
+    .withMessage('archived must be a boolean')
+];
+
+const noteVersionValidation = [
+  ...noteIdValidation,
+  param('rev')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Revision must be a positive integer')
+];
+
+const noteDiffValidation = [
+  ...noteIdValidation,
+  query('from')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('From revision must be a positive integer'),
+  query('to')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('To revision must be a positive integer')
+];
+
+const noteShareValidation = [
+  ...noteIdValidation,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const shareNoteValidation = [
+  ...noteShareValidation,
+  body('permission')
+    .isIn(['view', 'edit'])
+    .withMessage('Permission must be either "view" or "edit"')
+];
+
+const commentIdValidation = [
+  ...noteIdValidation,
+  param('commentId')
+    .isMongoId()
+    .withMessage('Invalid comment ID')
+];
+
+const commentContentRule = () => body('content')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 5000 })
+  .withMessage('Comment must be between 1 and 5000 characters');
+
+const createCommentValidation = [
+  ...noteIdValidation,
+  commentContentRule(),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent comment ID')
+];
+
+const updateCommentValidation = [
+  ...commentIdValidation,
+  commentContentRule()
+];
+
+const attachmentIdValidation = [
+  ...noteIdValidation,
+  param('attachmentId')
+    .isMongoId()
+    .withMessage('Invalid attachment ID')
+];
+
+const shareLinkIdValidation = [
+  ...noteIdValidation,
+  param('linkId')
+    .isMongoId()
+    .withMessage('Invalid share link ID')
+];
+
+const createShareLinkValidation = [
+  ...noteIdValidation,
+  body('expires_in_days')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: SHARE_LINKS.MAX_EXPIRES_IN_DAYS })
+    .withMessage(`expires_in_days must be between 1 and ${SHARE_LINKS.MAX_EXPIRES_IN_DAYS}`)
+    .toInt(),
+  body('password')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 4, max: 128 })
+    .withMessage('Link password must be between 4 and 128 characters')
+];
+
+const publicNoteValidation = [
+  param('token')
+    .isString()
+    .isLength({ min: 16, max: 128 })
+    .withMessage('Invalid share link')
+];
+
+// Notebook validation schemas
+const notebookIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notebook ID')
+];
+
+const createNotebookValidation = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Notebook name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent notebook ID')
+];
+
+const updateNotebookValidation = [
+  ...notebookIdValidation,
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Notebook name must be between 1 and 100 characters'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parent notebook ID')
+];
+
+const deleteNotebookValidation = [
+  ...notebookIdValidation,
+  query('cascade')
+    .optional()
+    .isIn(['move', 'trash'])
+    .withMessage('Cascade must be either "move" or "trash"')
+];
+
+const notebookListValidation = [
+  query('parent_id')
+    .optional()
+    .custom(value => value === 'root' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('parent_id must be a notebook ID or "root"')
+];
+
+// User validation schemas
+const userIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const updateUserRoleValidation = [
+  ...userIdValidation,
+  body('role')
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be either "admin" or "member"')
+];
+
+const removeUserValidation = [
+  ...userIdValidation,
+  body('transfer_to')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid transfer user ID')
+];
+
+// Invitation validation schemas
+const createInvitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(['admin', 'member'])
+    .withMessage('Role must be either "admin" or "member"')
+];
+
+const invitationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+];
+
+const invitationTokenValidation = [
+  param('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Invalid invitation token')
+];
+
+const acceptInvitationValidation = [
+  body('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Invalid invitation token'),
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Password must not exceed 128 characters')
+];
+
 // Tenant validation schemas
+const tenantSlugRule = (field) => field
+  .trim()
+  .toLowerCase()
+  .isLength({ min: TENANT_SIGNUP.SLUG_MIN_LENGTH, max: TENANT_SIGNUP.SLUG_MAX_LENGTH })
+  .withMessage(`Tenant slug must be between ${TENANT_SIGNUP.SLUG_MIN_LENGTH} and ${TENANT_SIGNUP.SLUG_MAX_LENGTH} characters`)
+  .matches(TENANT_SIGNUP.SLUG_PATTERN)
+  .withMessage('Tenant slug may only contain lowercase letters, numbers and single hyphens');
+
 const tenantSlugValidation = [
-  param('slug')
-    .isIn(['acme', 'globex'])
-    .withMessage('Invalid tenant slug. Must be either "acme" or "globex"')
+  tenantSlugRule(param('slug'))
+];
+
+const tenantSignupValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Tenant name is required and must not exceed 100 characters'),
+  tenantSlugRule(body('slug')),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('password')
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage('Password must not exceed 128 characters')
+];
+
+const tenantSettingsValidation = [
+  body('password_policy')
+    .optional()
+    .isObject()
+    .withMessage('Password policy must be an object'),
+  body('password_policy.min_length')
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .withMessage('Minimum password length must be between 6 and 128'),
+  body([
+    'password_policy.require_uppercase',
+    'password_policy.require_lowercase',
+    'password_policy.require_number',
+    'password_policy.require_symbol',
+    'password_policy.reject_common'
+  ])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Password policy flags must be booleans'),
+  body('password_policy.history_count')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('Password history must be between 0 and 24'),
+  body('trash_retention_days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .toInt()
+    .withMessage('Trash retention must be between 1 and 365 days')
 ];
 
 // Query validation schemas
+const NOTE_SORT_KEYS = [...NOTE_SORTS.VALUES, ...Object.keys(NOTE_SORTS.ALIASES)];
+
+// Sorting and cursor pagination of note listings
+const noteListingValidation = [
+  query('sort')
+    .optional()
+    .isIn(NOTE_SORT_KEYS)
+    .withMessage(`Sort must be one of: ${NOTE_SORT_KEYS.join(', ')}`),
+  query('pagination')
+    .optional()
+    .isIn(['page', 'cursor'])
+    .withMessage('pagination must be either "page" or "cursor"'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 512 })
+    .withMessage('Invalid cursor')
+    .custom((value, { req }) => !req.query.page)
+    .withMessage('cursor cannot be combined with page'),
+  query('include_total')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('include_total must be "true" or "false"')
+];
+
 const paginationValidation = [
   query('page')
     .optional()
@@ -66,14 +524,238 @@ const paginationValidation = [
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Search query must not exceed 100 characters')
+    .withMessage('Search query must not exceed 100 characters'),
+  query('search_mode')
+    .optional()
+    .isIn(['text', 'prefix'])
+    .withMessage('search_mode must be either "text" or "prefix"'),
+  query('saved_search')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid saved search ID')
+    .custom((value, { req }) => !req.query.search)
+    .withMessage('saved_search cannot be combined with search'),
+  query('notebook_id')
+    .optional()
+    .custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('notebook_id must be a notebook ID or "none"')
+];
+
+const searchNotesValidation = [
+  query('q')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Search query (q) is required and must not exceed 500 characters'),
+  query('tags')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('tags must be a comma-separated list'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  ...noteListingValidation
+];
+
+const sharedNotesValidation = [
+  ...paginationValidation,
+  query('permission')
+    .optional()
+    .isIn(['view', 'edit'])
+    .withMessage('Permission must be either "view" or "edit"')
+];
+
+// Saved search validation schemas
+
+const savedSearchIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid saved search ID')
+];
+
+// Update requests may omit any field, so the rules are built per schema rather than shared
+const savedSearchFieldRules = (optional) => {
+  const field = name => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Saved search name must be between 1 and 100 characters'),
+    field('query')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Search query must be between 1 and 500 characters'),
+    body('sort')
+      .optional()
+      .isIn(NOTE_SORT_KEYS)
+      .withMessage(`Sort must be one of: ${NOTE_SORT_KEYS.join(', ')}`),
+    body('is_shared')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('is_shared must be a boolean')
+  ];
+};
+
+const createSavedSearchValidation = savedSearchFieldRules(false);
+
+const updateSavedSearchValidation = [
+  ...savedSearchIdValidation,
+  ...savedSearchFieldRules(true)
+];
+
+const savedSearchListValidation = [
+  query('scope')
+    .optional()
+    .isIn(['all', 'mine', 'shared'])
+    .withMessage('Scope must be one of: all, mine, shared')
+];
+
+// Tag validation schemas
+const tagNameRule = (chain, label) => chain
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 50 })
+  .withMessage(`${label} must be between 1 and 50 characters`);
+
+const tagNameValidation = [
+  tagNameRule(param('name'), 'Tag')
+];
+
+const tagListValidation = [
+  query('sort')
+    .optional()
+    .isIn(['count', 'name'])
+    .withMessage('Sort must be either "count" or "name"')
+];
+
+const tagAutocompleteValidation = [
+  query('prefix')
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Prefix must not exceed 50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: TAGS.MAX_AUTOCOMPLETE_LIMIT })
+    .withMessage(`Limit must be between 1 and ${TAGS.MAX_AUTOCOMPLETE_LIMIT}`)
+];
+
+const updateTagValidation = [
+  ...tagNameValidation,
+  body('color')
+    .optional({ values: 'null' })
+    .matches(/^#[0-9a-f]{6}$/i)
+    .withMessage('Color must be a hex color such as #1a2b3c, or null'),
+  body('description')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  body()
+    .custom(value => Boolean(value && (value.color !== undefined || value.description !== undefined)))
+    .withMessage('Provide a color or a description')
+];
+
+const renameTagValidation = [
+  ...tagNameValidation,
+  tagNameRule(body('name'), 'New tag name')
+];
+
+const mergeTagsValidation = [
+  body('sources')
+    .isArray({ min: 1, max: TAGS.MAX_MERGE_SOURCES })
+    .withMessage(`sources must be an array of 1 to ${TAGS.MAX_MERGE_SOURCES} tags`),
+  tagNameRule(body('sources.*'), 'Each source tag'),
+  tagNameRule(body('target'), 'Target tag')
+];
+
+// Notification validation schemas
+const notificationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+const notificationListValidation = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('unread')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('unread must be "true" or "false"')
 ];
 
 module.exports = {
   loginValidation,
+  refreshTokenValidation,
+  sessionIdValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorVerifyValidation,
+  twoFactorDisableValidation,
   createNoteValidation,
   updateNoteValidation,
   noteIdValidation,
+  patchNoteValidation,
+  archiveNoteValidation,
+  moveNoteValidation,
+  noteShareValidation,
+  shareNoteValidation,
+  sharedNotesValidation,
+  searchNotesValidation,
+  commentIdValidation,
+  createCommentValidation,
+  updateCommentValidation,
+  attachmentIdValidation,
+  shareLinkIdValidation,
+  createShareLinkValidation,
+  publicNoteValidation,
+  noteVersionValidation,
+  noteDiffValidation,
+  notebookIdValidation,
+  createNotebookValidation,
+  updateNotebookValidation,
+  deleteNotebookValidation,
+  notebookListValidation,
+  userIdValidation,
+  updateUserRoleValidation,
+  removeUserValidation,
+  createInvitationValidation,
+  invitationIdValidation,
+  invitationTokenValidation,
+  acceptInvitationValidation,
   tenantSlugValidation,
-  paginationValidation
+  tenantSignupValidation,
+  tenantSettingsValidation,
+  savedSearchIdValidation,
+  createSavedSearchValidation,
+  updateSavedSearchValidation,
+  savedSearchListValidation,
+  tagListValidation,
+  tagAutocompleteValidation,
+  updateTagValidation,
+  renameTagValidation,
+  mergeTagsValidation,
+  notificationIdValidation,
+  notificationListValidation,
+  paginationValidation,
+  noteListingValidation
 };
@@ -0,0 +1,98 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const authService = require('../../src/services/authService');
+const authController = require('../../src/controllers/authController');
+
+const REFRESH_TOKEN = 'r'.repeat(48);
+const ACCESS_TOKEN = jwt.sign({ sub: 'user' }, 'test-secret', { expiresIn: '2h' });
+const TOKENS = {
+  token: ACCESS_TOKEN,
+  refresh_token: REFRESH_TOKEN,
+  refresh_token_expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000)
+};
+
+// Express 5 leaves req.body undefined when a request has no body
+const buildRequest = (overrides = {}) => ({
+  body: undefined,
+  cookies: { refresh_token: REFRESH_TOKEN },
+  auth: { jti: 'access-token-id' },
+  ip: '127.0.0.1',
+  get: () => undefined,
+  ...overrides
+});
+
+const buildResponse = () => {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    cookies: {},
+    cookie(name, value, options) {
+      res.cookies[name] = { value, options };
+      return res;
+    },
+    clearCookie: () => res
+  };
+  return res;
+};
+
+describe('AuthController', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('sets auth cookies on password login, expiring with the access token', async () => {
+    mock.method(authService, 'login', async () => ({ success: true, data: TOKENS }));
+    const res = buildResponse();
+
+    await authController.login(buildRequest({ body: { email: 'ann@acme.test', password: 'secret' } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.cookies.auth_token.value, ACCESS_TOKEN);
+    assert.equal(res.cookies.auth_token.options.expires.getTime(), jwt.decode(ACCESS_TOKEN).exp * 1000);
+    assert.equal(res.cookies.refresh_token.value, REFRESH_TOKEN);
+  });
+
+  it('logs out a cookie-based client that posts without a body', async () => {
+    const logout = mock.method(authService, 'logout', async () => ({ success: true }));
+    const res = buildResponse();
+
+    await authController.logout(buildRequest(), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(logout.mock.calls.length, 1);
+    assert.equal(logout.mock.calls[0].arguments[1], REFRESH_TOKEN);
+  });
+
+  it('refreshes from the cookie when the request has no body', async () => {
+    const refreshTokens = mock.method(authService, 'refreshTokens', async () => ({
+      success: true,
+      data: TOKENS
+    }));
+    const res = buildResponse();
+
+    await authController.refreshToken(buildRequest(), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(refreshTokens.mock.calls[0].arguments[0], REFRESH_TOKEN);
+  });
+
+  it('does not leak internal errors from a failed refresh', async () => {
+    mock.method(authService, 'refreshTokens', async () => {
+      throw new Error('connection reset by database');
+    });
+    mock.method(console, 'error', () => {});
+    const res = buildResponse();
+
+    await authController.refreshToken(buildRequest(), res);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, 'Invalid or expired refresh token');
+  });
+});
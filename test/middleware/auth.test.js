@@ -0,0 +1,57 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticateCron } = require('../../src/middleware/auth');
+
+const SECRET = 'cron-secret-for-tests';
+
+const run = (authorization) => {
+  const res = {
+    statusCode: null,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json: () => res
+  };
+  let passed = false;
+
+  authenticateCron({ headers: { authorization } }, res, () => {
+    passed = true;
+  });
+
+  return { passed, statusCode: res.statusCode };
+};
+
+describe('authenticateCron', () => {
+  let previous;
+  beforeEach(() => {
+    previous = process.env.CRON_SECRET;
+  });
+  afterEach(() => {
+    if (previous === undefined) {
+      delete process.env.CRON_SECRET;
+    } else {
+      process.env.CRON_SECRET = previous;
+    }
+  });
+
+  it('lets the scheduler through with the shared secret', () => {
+    process.env.CRON_SECRET = SECRET;
+
+    assert.equal(run(`Bearer ${SECRET}`).passed, true);
+  });
+
+  it('rejects missing and wrong secrets', () => {
+    process.env.CRON_SECRET = SECRET;
+
+    assert.deepEqual(run(undefined), { passed: false, statusCode: 401 });
+    assert.deepEqual(run('Bearer wrong'), { passed: false, statusCode: 401 });
+  });
+
+  it('keeps job routes closed while CRON_SECRET is unset', () => {
+    delete process.env.CRON_SECRET;
+
+    assert.deepEqual(run('Bearer '), { passed: false, statusCode: 401 });
+    assert.deepEqual(run('Bearer undefined'), { passed: false, statusCode: 401 });
+  });
+});
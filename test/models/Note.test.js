@@ -0,0 +1,37 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Note } = require('../../src/models');
+
+describe('Note.replaceLegacyTextIndexes', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('drops the per-field text indexes and builds the tenant-scoped one', async () => {
+    mock.method(Note.collection, 'indexes', async () => [
+      { name: '_id_', key: { _id: 1 } },
+      { name: 'title_text', key: { _fts: 'text', _ftsx: 1 } },
+      { name: 'tenant_id_1_created_at_-1', key: { tenant_id: 1, created_at: -1 } }
+    ]);
+    const dropIndex = mock.method(Note.collection, 'dropIndex', async () => ({}));
+    const createIndexes = mock.method(Note, 'createIndexes', async () => {});
+
+    assert.deepEqual(await Note.replaceLegacyTextIndexes(), ['title_text']);
+    assert.deepEqual(dropIndex.mock.calls.map(call => call.arguments[0]), ['title_text']);
+    assert.equal(createIndexes.mock.calls.length, 1);
+  });
+
+  it('leaves migrated and new databases alone', async () => {
+    const dropIndex = mock.method(Note.collection, 'dropIndex', async () => ({}));
+    mock.method(Note.collection, 'indexes', async () => [
+      { name: 'tenant_id_1_title_text_content_text', key: { tenant_id: 1, _fts: 'text', _ftsx: 1 } }
+    ]);
+
+    assert.deepEqual(await Note.replaceLegacyTextIndexes(), []);
+
+    mock.method(Note.collection, 'indexes', async () => {
+      throw Object.assign(new Error('ns does not exist'), { codeName: 'NamespaceNotFound' });
+    });
+
+    assert.deepEqual(await Note.replaceLegacyTextIndexes(), []);
+    assert.equal(dropIndex.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Attachment, Tenant } = require('../../src/models');
+const notesService = require('../../src/services/notesService');
+const storageService = require('../../src/services/storageService');
+const attachmentService = require('../../src/services/attachmentService');
+
+const TENANT_ID = '507f1f77bcf86cd799439011';
+const MB = 1024 * 1024;
+const FILE = {
+  originalname: 'notes.txt',
+  mimetype: 'text/plain',
+  size: MB,
+  buffer: Buffer.from('plain text notes\n')
+};
+
+describe('AttachmentService.uploadAttachment', () => {
+  afterEach(() => mock.restoreAll());
+
+  const stubUpload = (usages) => {
+    mock.method(notesService, 'findAccessibleNote', async () => ({ _id: 'note-1' }));
+    mock.method(Tenant, 'findById', async () => ({ subscription_plan: 'free' }));
+    mock.method(attachmentService, 'getStorageUsage', async () => usages.shift());
+    mock.method(storageService, 'getDriver', () => ({ name: 'memory' }));
+    mock.method(storageService, 'put', async () => {});
+    mock.method(Attachment, 'create', async data => ({ _id: 'attachment-1', ...data }));
+    return {
+      deleteStored: mock.method(storageService, 'deleteMany', async () => {}),
+      deleteRecord: mock.method(Attachment, 'deleteOne', async () => ({}))
+    };
+  };
+
+  it('stores a file that fits the plan quota', async () => {
+    const { deleteRecord } = stubUpload([10 * MB, 11 * MB]);
+
+    const result = await attachmentService.uploadAttachment('note-1', FILE, TENANT_ID);
+
+    assert.equal(result.data.filename, 'notes.txt');
+    assert.equal(deleteRecord.mock.calls.length, 0);
+  });
+
+  it('backs out an upload that a concurrent one pushed over the quota', async () => {
+    // 49 MB used when checked, 51 MB once this file and a racing one are both recorded
+    const { deleteStored, deleteRecord } = stubUpload([49 * MB, 51 * MB]);
+
+    await assert.rejects(
+      attachmentService.uploadAttachment('note-1', FILE, TENANT_ID),
+      { statusCode: 403, details: { used: 50 * MB, limit: 50 * MB } }
+    );
+    assert.deepEqual(deleteRecord.mock.calls[0].arguments[0], { _id: 'attachment-1' });
+    assert.equal(deleteStored.mock.calls.length, 1);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { User, PasswordResetToken } = require('../../src/models');
+const mailService = require('../../src/services/mailService');
+const authService = require('../../src/services/authService');
+
+const USER = {
+  _id: '507f1f77bcf86cd799439011',
+  tenant_id: '507f1f77bcf86cd799439012',
+  email: 'ann@acme.test'
+};
+
+// Lets background work such as the reset email settle before asserting on it
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('AuthService.requestPasswordReset', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('answers the same for unknown emails and failing mail transports', async () => {
+    mock.method(PasswordResetToken, 'exists', async () => null);
+    mock.method(PasswordResetToken, 'deleteMany', async () => ({}));
+    mock.method(PasswordResetToken, 'create', async () => ({}));
+    mock.method(mailService, 'sendPasswordReset', async () => {
+      throw new Error('SMTP connection refused');
+    });
+    const logged = mock.method(console, 'error', () => {});
+
+    mock.method(User, 'findOne', async () => null);
+    const unknown = await authService.requestPasswordReset('nobody@acme.test');
+
+    mock.method(User, 'findOne', async () => USER);
+    const known = await authService.requestPasswordReset(USER.email);
+    await flush();
+
+    assert.deepEqual(known, unknown);
+    assert.equal(logged.mock.calls.length, 1);
+  });
+
+  it('does not send another email within the cooldown', async () => {
+    mock.method(User, 'findOne', async () => USER);
+    mock.method(PasswordResetToken, 'exists', async () => ({ _id: 'recent' }));
+    const create = mock.method(PasswordResetToken, 'create', async () => ({}));
+    const send = mock.method(mailService, 'sendPasswordReset', async () => ({}));
+
+    const result = await authService.requestPasswordReset(USER.email);
+
+    assert.equal(result.success, true);
+    assert.equal(create.mock.calls.length, 0);
+    assert.equal(send.mock.calls.length, 0);
+  });
+});
@@ -0,0 +1,131 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Note, NoteRevision, ShareLink, Comment, Notification, Tenant } = require('../../src/models');
+const notesService = require('../../src/services/notesService');
+const { ERROR_MESSAGES } = require('../../src/utils/constants');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-06-30T00:00:00.000Z');
+
+// Stands in for Note.find(filter).select('_id').limit(n), one batch per call
+const findReturning = (...batches) => () => ({
+  select: () => ({
+    limit: async () => batches.shift() || []
+  })
+});
+
+describe('NotesService.purgeExpiredTrash', () => {
+  afterEach(() => mock.restoreAll());
+
+  const stubRelated = () => {
+    [NoteRevision, ShareLink, Comment, Notification].forEach(model => {
+      mock.method(model, 'deleteMany', async () => ({}));
+    });
+    mock.method(notesService, 'deleteNoteAttachments', async () => {});
+  };
+
+  it("uses each tenant's own retention to pick expired notes", async () => {
+    mock.method(Tenant, 'find', () => ({
+      select: async () => [
+        { _id: 'tenant-a', trash_retention_days: 30 },
+        { _id: 'tenant-b', trash_retention_days: 7 }
+      ]
+    }));
+    const find = mock.method(Note, 'find', findReturning([{ _id: 'n1' }], []));
+    mock.method(Note, 'deleteMany', async () => ({ deletedCount: 1 }));
+    stubRelated();
+
+    const purged = await notesService.purgeExpiredTrash(NOW);
+
+    assert.equal(purged, 1);
+    const [first, second] = find.mock.calls.map(call => call.arguments[0]);
+    assert.equal(first.tenant_id, 'tenant-a');
+    assert.equal(first.is_deleted, true);
+    assert.deepEqual(first.$or[0].deleted_at, { $lte: new Date(NOW.getTime() - 30 * DAY) });
+    assert.deepEqual(second.$or[0].deleted_at, { $lte: new Date(NOW.getTime() - 7 * DAY) });
+  });
+
+  it('removes related data and only deletes notes still in the trash', async () => {
+    mock.method(Tenant, 'find', () => ({
+      select: async () => [{ _id: 'tenant-a', trash_retention_days: 30 }]
+    }));
+    mock.method(Note, 'find', findReturning([{ _id: 'n1' }, { _id: 'n2' }]));
+    const deleteNotes = mock.method(Note, 'deleteMany', async () => ({ deletedCount: 1 }));
+    const deleteComments = mock.method(Comment, 'deleteMany', async () => ({}));
+    [NoteRevision, ShareLink, Notification].forEach(model => {
+      mock.method(model, 'deleteMany', async () => ({}));
+    });
+    const deleteAttachments = mock.method(notesService, 'deleteNoteAttachments', async () => {});
+
+    const purged = await notesService.purgeExpiredTrash(NOW);
+
+    // A note restored between the lookup and the delete is left alone
+    assert.equal(purged, 1);
+    assert.deepEqual(deleteNotes.mock.calls[0].arguments[0], { _id: { $in: ['n1', 'n2'] }, is_deleted: true });
+    assert.deepEqual(deleteComments.mock.calls[0].arguments[0], { note_id: { $in: ['n1', 'n2'] } });
+    assert.deepEqual(deleteAttachments.mock.calls[0].arguments[0], ['n1', 'n2']);
+  });
+});
+
+describe('NotesService sharing permissions', () => {
+  afterEach(() => mock.restoreAll());
+
+  const OWNER_ID = '507f1f77bcf86cd799439041';
+  const EDITOR_ID = '507f1f77bcf86cd799439042';
+
+  it('limits members to owned notes and notes shared with the right permission', () => {
+    assert.deepEqual(notesService.accessFilter(null), {});
+    assert.deepEqual(notesService.accessFilter(EDITOR_ID, 'view'), {
+      $or: [{ user_id: EDITOR_ID }, { 'shares.user_id': EDITOR_ID }]
+    });
+    assert.deepEqual(notesService.accessFilter(EDITOR_ID, 'edit'), {
+      $or: [{ user_id: EDITOR_ID }, { shares: { $elemMatch: { user_id: EDITOR_ID, permission: 'edit' } } }]
+    });
+  });
+
+  it('answers 403 to view-only users trying to edit and 404 to everyone else', async () => {
+    mock.method(Note, 'findOne', async () => null);
+
+    mock.method(Note, 'exists', async () => ({ _id: 'note-1' }));
+    await assert.rejects(notesService.findAccessibleNote('note-1', 'tenant-a', EDITOR_ID, 'edit'), {
+      statusCode: 403
+    });
+
+    mock.method(Note, 'exists', async () => null);
+    await assert.rejects(notesService.findAccessibleNote('note-1', 'tenant-a', EDITOR_ID, 'edit'), {
+      message: ERROR_MESSAGES.NOTE.NOT_FOUND
+    });
+  });
+
+  it('never lets an edit share change ownership, shares or trash state', async () => {
+    const note = { _id: 'note-1', user_id: OWNER_ID, revision: 2, title: 'Plan', content: 'Draft', tags: [] };
+    mock.method(notesService, 'findAccessibleNote', async () => note);
+    mock.method(notesService, 'recordRevision', async () => {});
+    const write = mock.method(Note, 'findOneAndUpdate', () => ({
+      populate: async () => ({ ...note, title: 'Plan B' })
+    }));
+
+    await notesService.updateNote('note-1', {
+      title: 'Plan B',
+      user_id: EDITOR_ID,
+      shares: [],
+      is_deleted: true,
+      revision: 99
+    }, 'tenant-a', EDITOR_ID);
+
+    const update = write.mock.calls[0].arguments[1];
+    assert.equal(update.title, 'Plan B');
+    assert.equal(update.revision, 3);
+    ['user_id', 'shares', 'is_deleted'].forEach(field => assert.equal(update[field], undefined, field));
+  });
+
+  it('keeps filing into notebooks to the owner', async () => {
+    const note = { _id: 'note-1', user_id: OWNER_ID, revision: 1, title: 'Plan', content: 'Draft', tags: [] };
+    mock.method(notesService, 'findAccessibleNote', async () => note);
+
+    await assert.rejects(
+      notesService.updateNote('note-1', { notebook_id: null }, 'tenant-a', EDITOR_ID),
+      { statusCode: 403 }
+    );
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Note, Tag } = require('../../src/models');
+const tagService = require('../../src/services/tagService');
+
+const TENANT_ID = '507f1f77bcf86cd799439011';
+
+describe('TagService', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('bumps the revision of every renamed note so its ETag changes', async () => {
+    mock.method(tagService, 'tagExists', async (tenantId, name) => name === 'old');
+    const updateMany = mock.method(Note, 'updateMany', async () => ({ modifiedCount: 2 }));
+    mock.method(Tag, 'updateOne', async () => ({}));
+
+    const result = await tagService.renameTag('Old', 'new', TENANT_ID);
+
+    assert.equal(result.data.notes_updated, 2);
+    assert.deepEqual(updateMany.mock.calls[0].arguments[1], {
+      $set: { 'tags.$[tag]': 'new' },
+      $inc: { revision: 1 }
+    });
+  });
+
+  it('bumps the revision of merged notes exactly once', async () => {
+    mock.method(tagService, 'tagExists', async () => true);
+    const updateMany = mock.method(Note, 'updateMany', async () => ({ modifiedCount: 3 }));
+    mock.method(Tag, 'find', async () => []);
+    mock.method(Tag, 'deleteMany', async () => ({}));
+
+    await tagService.mergeTags(['a', 'b'], 'c', TENANT_ID);
+
+    const increments = updateMany.mock.calls.filter(call => call.arguments[1].$inc);
+    assert.equal(increments.length, 1);
+    assert.deepEqual(increments[0].arguments[1].$inc, { revision: 1 });
+  });
+});
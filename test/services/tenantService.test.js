@@ -0,0 +1,125 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { Tenant, User, Note, Notebook, Notification, SavedSearch, Comment, ShareLink, Attachment, Invitation } = require('../../src/models');
+const authService = require('../../src/services/authService');
+const tokenService = require('../../src/services/tokenService');
+const notesService = require('../../src/services/notesService');
+const tenantService = require('../../src/services/tenantService');
+const { ERROR_MESSAGES } = require('../../src/utils/constants');
+
+const TENANT_ID = '507f1f77bcf86cd799439011';
+const ADMIN_ID = '507f1f77bcf86cd799439021';
+const MEMBER_ID = '507f1f77bcf86cd799439022';
+const SIGNUP = {
+  name: 'Acme',
+  slug: 'acme-labs',
+  email: 'Ann@Acme.test',
+  password: 'correct horse 9'
+};
+
+describe('TenantService.signup', () => {
+  afterEach(() => mock.restoreAll());
+
+  const stubLookups = () => {
+    mock.method(Tenant, 'exists', async () => null);
+    mock.method(User, 'exists', async () => null);
+  };
+
+  it('creates the tenant and its first admin without a transaction', async () => {
+    stubLookups();
+    mock.method(Tenant, 'create', async data => ({ _id: TENANT_ID, ...data }));
+    const createUser = mock.method(User, 'create', async data => ({ ...data, populate: async () => {} }));
+    mock.method(authService, 'completeLogin', async () => ({ success: true, data: { token: 'access' } }));
+
+    const result = await tenantService.signup(SIGNUP);
+
+    assert.equal(result.data.tenant.slug, 'acme-labs');
+    assert.equal(result.data.token, 'access');
+    assert.equal(createUser.mock.calls[0].arguments[0].tenant_id, TENANT_ID);
+    assert.equal(createUser.mock.calls[0].arguments[0].email, 'ann@acme.test');
+  });
+
+  it('deletes the tenant again when the admin cannot be created', async () => {
+    stubLookups();
+    mock.method(Tenant, 'create', async data => ({ _id: TENANT_ID, ...data }));
+    const deleteTenant = mock.method(Tenant, 'deleteOne', async () => ({ deletedCount: 1 }));
+    mock.method(User, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { email: 1 } });
+    });
+
+    await assert.rejects(tenantService.signup(SIGNUP), { statusCode: 409, message: ERROR_MESSAGES.TENANT.EMAIL_TAKEN });
+    assert.deepEqual(deleteTenant.mock.calls[0].arguments[0], { _id: TENANT_ID });
+  });
+});
+
+describe('TenantService.removeUser', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('hands the removed user\'s content to the recipient and revokes their share links', async () => {
+    const member = { _id: MEMBER_ID, email: 'bob@acme.test', role: 'member', is_active: false };
+    mock.method(tenantService, 'findTenantUser', async () => member);
+    mock.method(User, 'findOne', async () => ({ _id: ADMIN_ID }));
+    mock.method(User, 'deleteOne', async () => ({}));
+    mock.method(Note, 'updateMany', async () => ({ modifiedCount: 4 }));
+    mock.method(Notebook, 'find', async () => []);
+    mock.method(notesService, 'removeUserShares', async () => {});
+    mock.method(tokenService, 'revokeAllUserTokens', async () => {});
+    [Notification, SavedSearch].forEach(model => mock.method(model, 'deleteMany', async () => ({})));
+
+    const updates = [ShareLink, Comment, Attachment, Invitation].map(model =>
+      mock.method(model, 'updateMany', async () => ({ modifiedCount: 2 }))
+    );
+
+    const result = await tenantService.removeUser(TENANT_ID, MEMBER_ID, ADMIN_ID);
+
+    assert.equal(result.data.share_links_revoked, 2);
+    const [revoke, reassign] = updates[0].mock.calls.map(call => call.arguments);
+    assert.deepEqual(revoke[0], { tenant_id: TENANT_ID, created_by: MEMBER_ID, revoked_at: null });
+    assert.ok(revoke[1].revoked_at instanceof Date);
+    assert.deepEqual(reassign[1], { created_by: ADMIN_ID });
+    assert.deepEqual(updates[1].mock.calls[0].arguments[1], { author_id: ADMIN_ID });
+    assert.deepEqual(updates[2].mock.calls[0].arguments[1], { uploaded_by: ADMIN_ID });
+    assert.deepEqual(updates[3].mock.calls[0].arguments[1], { invited_by: ADMIN_ID });
+  });
+});
+
+describe('TenantService.revokeAdminAccess', () => {
+  afterEach(() => mock.restoreAll());
+
+  const admin = () => ({ _id: ADMIN_ID, role: 'admin', is_active: true });
+
+  it('refuses to demote the last active admin', async () => {
+    mock.method(User, 'countDocuments', async () => 0);
+    const write = mock.method(User, 'findOneAndUpdate', async () => ({}));
+
+    await assert.rejects(tenantService.revokeAdminAccess(TENANT_ID, admin(), { role: 'member' }), { statusCode: 409 });
+    assert.equal(write.mock.calls.length, 0);
+  });
+
+  it('only writes if the user is still in the state that was checked', async () => {
+    mock.method(User, 'countDocuments', async () => 1);
+    const write = mock.method(User, 'findOneAndUpdate', async () => null);
+
+    await assert.rejects(
+      tenantService.revokeAdminAccess(TENANT_ID, admin(), { role: 'member' }),
+      { statusCode: 409, message: ERROR_MESSAGES.USER.CONCURRENT_CHANGE }
+    );
+    assert.deepEqual(write.mock.calls[0].arguments[0], {
+      _id: ADMIN_ID,
+      tenant_id: TENANT_ID,
+      role: 'admin',
+      is_active: true
+    });
+  });
+
+  it('rolls back when a concurrent demotion left no active admin', async () => {
+    // Another admin existed at the check, but was demoted before this write landed
+    const counts = [1, 0];
+    mock.method(User, 'countDocuments', async () => counts.shift());
+    mock.method(User, 'findOneAndUpdate', async () => ({ ...admin(), role: 'member' }));
+    const rollback = mock.method(User, 'updateOne', async () => ({}));
+
+    await assert.rejects(tenantService.revokeAdminAccess(TENANT_ID, admin(), { role: 'member' }), { statusCode: 409 });
+    assert.deepEqual(rollback.mock.calls[0].arguments, [{ _id: ADMIN_ID }, { role: 'admin', is_active: true }]);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RefreshToken, Session, User } = require('../../src/models');
+const tokenService = require('../../src/services/tokenService');
+const { hashToken } = require('../../src/utils/crypto');
+const { ERROR_MESSAGES } = require('../../src/utils/constants');
+
+const REFRESH_TOKEN = 'r'.repeat(48);
+const FAMILY_ID = '507f1f77bcf86cd799439031';
+
+describe('TokenService.rotateRefreshToken', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('revokes the whole session when a rotated token is presented again', async () => {
+    mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+    mock.method(RefreshToken, 'findOne', async () => ({ family_id: FAMILY_ID, revoked_reason: 'rotated' }));
+    const revokeSession = mock.method(tokenService, 'revokeSession', async () => {});
+
+    await assert.rejects(tokenService.rotateRefreshToken(REFRESH_TOKEN), {
+      message: ERROR_MESSAGES.AUTH.REFRESH_TOKEN_REUSED
+    });
+    assert.deepEqual(revokeSession.mock.calls[0].arguments, [FAMILY_ID, 'reuse_detected']);
+  });
+
+  it('rejects unknown and logged-out tokens without treating them as reuse', async () => {
+    mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+    const revokeSession = mock.method(tokenService, 'revokeSession', async () => {});
+
+    mock.method(RefreshToken, 'findOne', async () => null);
+    await assert.rejects(tokenService.rotateRefreshToken(REFRESH_TOKEN), {
+      message: ERROR_MESSAGES.AUTH.REFRESH_TOKEN_INVALID
+    });
+
+    mock.method(RefreshToken, 'findOne', async () => ({ family_id: FAMILY_ID, revoked_reason: 'logout' }));
+    await assert.rejects(tokenService.rotateRefreshToken(REFRESH_TOKEN), {
+      message: ERROR_MESSAGES.AUTH.REFRESH_TOKEN_INVALID
+    });
+    assert.equal(revokeSession.mock.calls.length, 0);
+  });
+
+  it('claims the token atomically and links it to its replacement', async () => {
+    const claim = mock.method(RefreshToken, 'findOneAndUpdate', async () => ({
+      _id: 'token-1',
+      family_id: FAMILY_ID,
+      user_id: 'user-1',
+      tenant_id: 'tenant-1',
+      expires_at: new Date(Date.now() + 60 * 1000)
+    }));
+    mock.method(Session, 'findById', async () => ({ _id: FAMILY_ID, isActive: () => true }));
+    const user = { tenant_id: { is_active: true } };
+    mock.method(User, 'findOne', () => ({ populate: async () => user }));
+    mock.method(tokenService, 'issueTokens', async () => ({ record: { _id: 'token-2' } }));
+    const link = mock.method(RefreshToken, 'updateOne', async () => ({}));
+
+    const result = await tokenService.rotateRefreshToken(REFRESH_TOKEN);
+
+    assert.equal(result.user, user);
+    assert.deepEqual(claim.mock.calls[0].arguments[0], { token_hash: hashToken(REFRESH_TOKEN), revoked_at: null });
+    assert.deepEqual(link.mock.calls[0].arguments, [{ _id: 'token-1' }, { replaced_by: 'token-2' }]);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, buildKeysetFilter } = require('../../src/utils/cursor');
+
+const ID = '507f1f77bcf86cd799439011';
+const forge = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips date keysets', () => {
+    const value = new Date('2025-03-04T05:06:07.089Z');
+    const cursor = encodeCursor({ sort: '-created_at', value, id: ID });
+
+    assert.deepEqual(decodeCursor(cursor, '-created_at'), { value, id: ID });
+  });
+
+  it('round-trips title keysets and relevance offsets', () => {
+    assert.deepEqual(decodeCursor(encodeCursor({ sort: 'title', value: 'Plans', id: ID }), 'title'), {
+      value: 'Plans',
+      id: ID
+    });
+    assert.deepEqual(decodeCursor(encodeCursor({ sort: 'relevance', offset: 20 }), 'relevance'), { offset: 20 });
+  });
+
+  it('rejects a cursor issued for another sort order', () => {
+    const cursor = encodeCursor({ sort: 'title', value: 'Plans', id: ID });
+
+    assert.throws(() => decodeCursor(cursor, '-title'), { statusCode: 400 });
+  });
+
+  it('rejects garbage and forged values with a 400', () => {
+    const forged = [
+      ['not a cursor', 'title'],
+      [forge({ s: 'title', v: { $regex: '.*' }, i: ID }), 'title'],
+      [forge({ s: 'title', v: 'Plans', i: [ID] }), 'title'],
+      [forge({ s: 'title', v: 'Plans', i: { $ne: null } }), 'title'],
+      [forge({ s: 'created_at', v: 'yesterday', i: ID }), 'created_at'],
+      [forge({ s: 'created_at', v: 1700000000000, i: ID }), 'created_at'],
+      [forge({ s: 'relevance', o: -1 }), 'relevance'],
+      [forge({ s: 'relevance', o: '10' }), 'relevance']
+    ];
+
+    forged.forEach(([cursor, sort]) => {
+      assert.throws(() => decodeCursor(cursor, sort), { statusCode: 400 }, cursor);
+    });
+  });
+});
+
+describe('buildKeysetFilter', () => {
+  it('selects documents after the position, breaking ties on _id', () => {
+    assert.deepEqual(buildKeysetFilter('title', 1, { value: 'b', id: ID }), {
+      $or: [{ title: { $gt: 'b' } }, { title: 'b', _id: { $gt: ID } }]
+    });
+    assert.deepEqual(buildKeysetFilter('created_at', -1, { value: 'b', id: ID }), {
+      $or: [{ created_at: { $lt: 'b' } }, { created_at: 'b', _id: { $lt: ID } }]
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildNoteEtag, parseIfMatch, ifMatchSatisfied, ifNoneMatchSatisfied } = require('../../src/utils/etag');
+
+describe('buildNoteEtag', () => {
+  it('tags a note by revision, treating unversioned notes as revision 1', () => {
+    assert.equal(buildNoteEtag({ revision: 3 }), '"r3"');
+    assert.equal(buildNoteEtag({}), '"r1"');
+  });
+});
+
+describe('parseIfMatch / ifMatchSatisfied', () => {
+  it('parses revisions and drops weak tags', () => {
+    assert.equal(parseIfMatch(undefined), null);
+    assert.equal(parseIfMatch('"r2", *'), '*');
+    assert.deepEqual(parseIfMatch('"r2", W/"r3", "other"'), [2]);
+  });
+
+  it('checks the current revision against the condition', () => {
+    assert.equal(ifMatchSatisfied(null, 5), true);
+    assert.equal(ifMatchSatisfied('*', 5), true);
+    assert.equal(ifMatchSatisfied([4, 5], 5), true);
+    assert.equal(ifMatchSatisfied([4], 5), false);
+    assert.equal(ifMatchSatisfied([1], undefined), true);
+  });
+});
+
+describe('ifNoneMatchSatisfied', () => {
+  it('uses weak comparison', () => {
+    assert.equal(ifNoneMatchSatisfied('W/"r2"', '"r2"'), true);
+    assert.equal(ifNoneMatchSatisfied('"r1", "r2"', '"r2"'), true);
+    assert.equal(ifNoneMatchSatisfied('*', '"r2"'), true);
+    assert.equal(ifNoneMatchSatisfied('"r1"', '"r2"'), false);
+    assert.equal(ifNoneMatchSatisfied(undefined, '"r2"'), false);
+  });
+});
@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractMentions, extractNewMentions, mentionExcerpt } = require('../../src/utils/mentions');
+
+describe('extractMentions', () => {
+  it('returns distinct lowercased mentions in order', () => {
+    assert.deepEqual(
+      extractMentions('Ping @Ann@Acme.test and @bob@acme.test, then @ann@acme.test again'),
+      ['ann@acme.test', 'bob@acme.test']
+    );
+  });
+
+  it('ignores plain email addresses and empty text', () => {
+    assert.deepEqual(extractMentions('Mail ann@acme.test or foo@@bob@acme.test'), []);
+    assert.deepEqual(extractMentions(null), []);
+  });
+});
+
+describe('extractNewMentions', () => {
+  it('only returns mentions missing from the previous text', () => {
+    assert.deepEqual(
+      extractNewMentions('@ann@acme.test @bob@acme.test', 'cc @ann@acme.test'),
+      ['bob@acme.test']
+    );
+    assert.deepEqual(extractNewMentions('@ann@acme.test'), ['ann@acme.test']);
+  });
+});
+
+describe('mentionExcerpt', () => {
+  it('returns short texts whole', () => {
+    assert.equal(mentionExcerpt('Thanks @ann@acme.test!', 'ann@acme.test'), 'Thanks @ann@acme.test!');
+  });
+
+  it('cuts long texts around the mention', () => {
+    const text = `${'a'.repeat(200)} @ann@acme.test ${'b'.repeat(200)}`;
+    const excerpt = mentionExcerpt(text, 'ann@acme.test');
+
+    assert.ok(excerpt.startsWith('…'));
+    assert.ok(excerpt.endsWith('…'));
+    assert.ok(excerpt.includes('@ann@acme.test'));
+  });
+});
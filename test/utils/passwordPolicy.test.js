@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_PASSWORD_POLICY, resolvePasswordPolicy, validatePassword } = require('../../src/utils/passwordPolicy');
+
+describe('resolvePasswordPolicy', () => {
+  it('fills missing rules from the defaults', () => {
+    assert.deepEqual(resolvePasswordPolicy({ min_length: 12 }), { ...DEFAULT_PASSWORD_POLICY, min_length: 12 });
+    assert.deepEqual(resolvePasswordPolicy(null), DEFAULT_PASSWORD_POLICY);
+  });
+
+  it('accepts mongoose subdocuments', () => {
+    const subdocument = { toObject: () => ({ require_symbol: true }) };
+
+    assert.equal(resolvePasswordPolicy(subdocument).require_symbol, true);
+  });
+});
+
+describe('validatePassword', () => {
+  it('accepts a password meeting the default policy', () => {
+    assert.deepEqual(validatePassword('correct horse 9', {}), []);
+  });
+
+  it('reports every violated rule', () => {
+    const violations = validatePassword('abc', {
+      min_length: 10,
+      require_uppercase: true,
+      require_number: true,
+      require_symbol: true
+    });
+
+    assert.deepEqual(violations, [
+      'Password must be at least 10 characters long',
+      'Password must contain an uppercase letter',
+      'Password must contain a number',
+      'Password must contain a symbol'
+    ]);
+  });
+
+  it('rejects common passwords case-insensitively', () => {
+    assert.ok(validatePassword('Password123', {}).includes('Password is too common'));
+    assert.ok(!validatePassword('Password123', { reject_common: false }).includes('Password is too common'));
+  });
+
+  it('rejects passwords containing the email local part', () => {
+    assert.ok(validatePassword('maria2025!', {}, { email: 'Maria@acme.test' })
+      .includes('Password must not contain your email address'));
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSearchQuery } = require('../../src/utils/searchQuery');
+
+describe('parseSearchQuery', () => {
+  it('splits qualifiers from free text', () => {
+    const parsed = parseSearchQuery('tag:Design author:Ann@Acme.test budget "exact phrase" -draft');
+
+    assert.deepEqual(parsed.tags, ['design']);
+    assert.deepEqual(parsed.authors, ['ann@acme.test']);
+    assert.deepEqual(parsed.terms, ['budget']);
+    assert.deepEqual(parsed.phrases, ['exact phrase']);
+    assert.deepEqual(parsed.negated, ['draft']);
+    assert.equal(parsed.text, 'budget "exact phrase" -draft');
+  });
+
+  it('keeps unknown word:value tokens as text', () => {
+    const parsed = parseSearchQuery('https://example.com at 10:30');
+
+    assert.deepEqual(parsed.terms, ['https://example.com', 'at', '10:30']);
+  });
+
+  it('negates every qualifier instead of dropping the "-"', () => {
+    const parsed = parseSearchQuery(
+      '-tag:old -author:bob@acme.test -is:archived -notebook:none -created:2025-01-01'
+    );
+
+    assert.deepEqual(parsed.excluded_tags, ['old']);
+    assert.deepEqual(parsed.tags, []);
+    assert.deepEqual(parsed.excluded_authors, ['bob@acme.test']);
+    assert.deepEqual(parsed.authors, []);
+    assert.deepEqual(parsed.excluded_is, ['archived']);
+    assert.deepEqual(parsed.is, []);
+    assert.deepEqual(parsed.excluded_notebooks, ['none']);
+    assert.equal(parsed.notebook, null);
+    assert.equal(parsed.created, null);
+    assert.deepEqual(parsed.excluded_created, [{
+      $gte: new Date('2025-01-01T00:00:00.000Z'),
+      $lt: new Date('2025-01-02T00:00:00.000Z')
+    }]);
+  });
+
+  it('parses date comparisons and ranges', () => {
+    assert.deepEqual(parseSearchQuery('created:>2025-01-01').created, {
+      $gte: new Date('2025-01-02T00:00:00.000Z')
+    });
+    assert.deepEqual(parseSearchQuery('updated:<=2025-01-31').updated, {
+      $lt: new Date('2025-02-01T00:00:00.000Z')
+    });
+    assert.deepEqual(parseSearchQuery('created:2025-01-01..2025-01-31').created, {
+      $gte: new Date('2025-01-01T00:00:00.000Z'),
+      $lt: new Date('2025-02-01T00:00:00.000Z')
+    });
+  });
+
+  it('rejects impossible dates and unknown is: values with a 400', () => {
+    assert.throws(() => parseSearchQuery('created:2025-02-30'), { statusCode: 400 });
+    assert.throws(() => parseSearchQuery('is:pinned'), { statusCode: 400 });
+    assert.throws(() => parseSearchQuery('notebook:abc'), { statusCode: 400 });
+  });
+
+  it('limits the number of terms', () => {
+    assert.throws(() => parseSearchQuery(Array(31).fill('word').join(' ')), { statusCode: 400 });
+  });
+});